@@ -1,5 +1,5 @@
 // Hysilens Violin Player - Web Edition
-// Web Bluetooth API Implementation
+// Web Bluetooth / Web Serial / WebSocket Implementation
 
 class ViolinPlayer {
     constructor() {
@@ -7,14 +7,96 @@ class ViolinPlayer {
         this.device = null;
         this.server = null;
         this.characteristic = null;
+        this.writeCharacteristic = null; // Where commands go (may differ from the data characteristic)
+        this.manualWriteCharacteristic = null; // Picked in the service selector
+        this.NUS_RX_CHARACTERISTIC = '6e400002-b5a3-f393-e0a9-e50e24dcca9e'; // Nordic UART: app -> device
         this.bleBuffer = '';
+        this.dataFormat = null; // 'csv' or 'binary', detected from the first packet of each connection
         this.isConnecting = false; // Prevent multiple connection attempts
         this.disconnectListenerAdded = false; // Track if listener is already added
         this.arduinoVolumeFeedbackEnabled = true; // Toggle for sending volume to Arduino
         this.arduinoMaxVolumeScale = 1.0; // Scale factor for Arduino volume (0.0 - 1.0)
         this.arduinoLedEnabled = true; // Toggle for Arduino LED on/off
+        this.lowBatteryLedEnabled = true; // Blink a warning pattern on the device when the battery is low
         this.startIMUPlaybackOnConnect = false; // Whether to start IMU playback on connect
+        this.connectionType = null; // Active transport: 'ble', 'serial', 'websocket', 'virtual' or 'phone'
+
+        // Virtual IMU device (development and demos without hardware)
+        this.virtualDevice = null; // {interval, startTime, volume, idle, led} while running
+        this.virtualPattern = 'bowing'; // 'bowing', 'bursts' or 'rest'
+        this.virtualBowSpeed = 0.6; // 0-1, scales the stroke speed
+        this.VIRTUAL_SAMPLE_INTERVAL_MS = 20; // 50 Hz
+
+        // Phone as bow (DeviceMotion / DeviceOrientation events)
+        this.phoneMotion = null; // {onMotion, onOrientation, orientation, interval, calibration} while active
+        this.phoneCalibration = this.loadPhoneCalibration(); // {gyroBias: {x,y,z}, accelScale}
+        this.PHONE_CALIBRATION_MS = 1500;
+        this.PHONE_CALIBRATION_MAX_ROTATION = 20; // deg/s - more than this means the phone wasn't still
+        this.STANDARD_GRAVITY = 9.80665; // m/s² per g
+
+        // Air bow: mouse/touch drags on the bow pad stand in for a sensor
+        this.airBow = null; // {pointerId, lastX, lastY, lastTime, lastMoveTime, velocity, direction, pressed, ticker}
+        this.AIR_BOW_FULL_SPEED = 1500; // Drag speed (px/s) that counts as full motion
+        this.AIR_BOW_SAMPLE_INTERVAL_MS = 20; // Same rate as the virtual device
+
+        // Background reconnect after an unexpected drop (exponential backoff)
+        this.isReconnecting = false;
+        this.reconnectType = null; // Transport being restored
+        this.reconnectDevice = null; // BLE device kept across the drop
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.awaitingDataAfterReconnect = false; // Log when the stream comes back
+        this.RECONNECT_BASE_DELAY_MS = 500;
+        this.RECONNECT_MAX_DELAY_MS = 8000;
+        this.RECONNECT_MAX_ATTEMPTS = 12;
+
+        // Web Bluetooth requires services to be declared in optionalServices
+        // Add your custom service UUID here if it's not discovered
+        this.BLE_OPTIONAL_SERVICES = [
+            // Standard services
+            'generic_access',
+            'generic_attribute',
+            'device_information',
+            'battery_service',
+            // Common custom services
+            '12345678-1234-5678-1234-56789abcdef0',
+            '12345678-1234-5678-1234-56789abcdef1',
+            '19b10000-e8f2-537e-4f6c-d104768a1214', // Arduino Nano 33 IoT IMU service
+            '19b10001-e8f2-537e-4f6c-d104768a1214', // Arduino characteristic
+            '6e400001-b5a3-f393-e0a9-e50e24dcca9e', // Nordic UART service
+            '0000180d-0000-1000-8000-00805f9b34fb', // Heart Rate
+            '0000180f-0000-1000-8000-00805f9b34fb', // Battery Service
+            '0000181a-0000-1000-8000-00805f9b34fb', // Environmental Sensing
+            '0000181c-0000-1000-8000-00805f9b34fb', // User Data
+            // Add more as needed - check your Arduino code for the service UUID
+        ];
+
+        // IMU characteristic auto-detection (sniff notifying characteristics on connect)
+        this.manualCharacteristicSelection = false; // Advanced: always show the characteristic picker
+        this.SNIFF_DURATION_MS = 1500;
+        this.SNIFF_MAX_PAYLOADS = 20;
+        this.SNIFF_MIN_SAMPLES = 2; // Valid IMU samples needed to accept a characteristic
+
+        // Web Serial (USB) connection
+        this.serialPort = null;
+        this.serialReader = null;
+        this.serialWriter = null;
+        this.serialKeepReading = false; // Cleared to stop the read loop on disconnect
+        this.serialReadLoop = null; // Promise of the running read loop
+        this.SERIAL_BAUD_RATE = 115200;
+
+        // WebSocket bridge connection (local relay, see imu-relay.js)
+        this.webSocket = null;
+        this.DEFAULT_WEBSOCKET_URL = 'ws://localhost:8765';
         
+        // Device capabilities (HELLO/INFO handshake after connecting)
+        this.PROTOCOL_VERSION = 1;
+        this.deviceInfo = null; // Parsed INFO reply, null until answered (or for legacy firmware)
+        this.handshakeTimeout = null;
+        this.handshakeComplete = false; // INFO answered or timed out, so deviceSupports() knows the firmware
+        this.HANDSHAKE_TIMEOUT_MS = 1500;
+        this.LEGACY_DEVICE_COMMANDS = ['VOL', 'IDLE', 'LED']; // Assumed when firmware doesn't answer HELLO
+
         // Idle mode (Arduino LED animation when not playing)
         this.idleMode = false; // Whether idle mode is active
         this.idleTransitionTimeout = null; // Timeout before entering idle mode
@@ -35,13 +117,118 @@ class ViolinPlayer {
 
         // IMU Data
         this.imuData = { ax: 0, ay: 0, az: 0, gx: 0, gy: 0, gz: 0 };
-        this.motionSpeed = 0;
-        this.motionHistory = [];
-        this.maxHistorySize = 5;
-        this.lastBowDirection = 0;
+        this.motionSpeed = 0; // Filtered
+        this.rawMotionSpeed = 0; // Before the motion filter, for the side-by-side readout
         this.bowDirection = 'Unknown';
         this.rawOutputLines = [];
 
+        // Bow strokes (see on('strokestart' / 'strokeend'))
+        this.eventListeners = {}; // event name -> [callback]
+        this.strokeDetector = this.createStrokeDetector();
+        this.lastStroke = null; // Most recent finished stroke event
+        this.STROKE_START_THRESHOLD = 40; // Bow speed (deg/s equivalent) that starts a stroke
+        this.STROKE_END_THRESHOLD = 15; // Lower threshold that ends it (hysteresis)
+        this.STROKE_MIN_DURATION_MS = 150; // Shorter wiggles can't end or reverse a stroke
+        this.STROKE_VELOCITY_WEIGHT = 100; // deg/s equivalent per m/s of integrated bow velocity
+        this.STROKE_VELOCITY_LEAK_S = 2; // Integrated velocity decays with this time constant (s)
+        this.STROKE_REST_ACCEL = 0.05; // g along the bow below which a non-rotating bow counts as resting
+
+        // Gesture recognition: user-recorded examples matched live with DTW (saved in localStorage)
+        this.gestures = this.loadSavedGestures(); // [{id, name, action, templates: [{points, duration}]}]
+        this.gestureRecognitionEnabled = false; // Off on every page load, so playing can't trigger actions by surprise
+        this.gestureThreshold = parseFloat(localStorage.getItem('violinPlayerGestureThreshold')) || 0.3; // Max DTW distance for a match
+        this.gestureBuffer = []; // [{time, features}] of the recent bow stream
+        this.gestureRecording = null; // {gestureId, startTime, samples} while recording an example
+        this.lastGestureCheck = 0;
+        this.lastGestureTime = 0;
+        this.heldPoseId = null; // Pose gesture that already ran and is still being held
+        this.GESTURE_BUFFER_MS = 3000;
+        this.GESTURE_RECORD_MS = 2000; // Length of one recorded example (trimmed to the movement)
+        this.GESTURE_COUNTDOWN_MS = 1500;
+        this.GESTURE_POINTS = 32; // Examples and live windows are resampled to this many points
+        this.GESTURE_MIN_SAMPLES = 8;
+        this.GESTURE_MAX_TEMPLATES = 5; // Examples kept per gesture (oldest dropped)
+        this.GESTURE_DTW_BAND = 0.25; // Warping window as a fraction of the sequence length
+        this.GESTURE_ACTIVITY_THRESHOLD = 0.25; // Feature magnitude (~50 deg/s or 0.25 g) that counts as moving
+        this.GESTURE_CHECK_INTERVAL_MS = 100;
+        this.GESTURE_COOLDOWN_MS = 1500; // After a match, before the next one
+        this.GESTURE_ACTIONS = {
+            none: { label: 'Do nothing', run: () => {} },
+            toggleImuPlayback: { label: 'Play / pause', run: () => this.toggleImuPlayback() },
+            restartWithDelay: { label: 'Restart with delay', run: () => this.restartWithDelay() },
+            nextTrack: { label: 'Next track', run: () => this.changeBuiltInTrack(1) },
+            previousTrack: { label: 'Previous track', run: () => this.changeBuiltInTrack(-1) }
+        };
+
+        // String crossing: bow tilt around its long axis picks the string (settings saved in localStorage)
+        this.VIOLIN_STRINGS = [
+            { name: 'G', openNote: 55 }, // G3
+            { name: 'D', openNote: 62 }, // D4
+            { name: 'A', openNote: 69 }, // A4
+            { name: 'E', openNote: 76 } // E5
+        ];
+        const stringCrossing = this.loadStringCrossingSettings();
+        this.stringBoundaries = stringCrossing.boundaries; // Tilt (deg) of the G|D, D|A and A|E boundaries, ascending
+        this.stringHysteresis = stringCrossing.hysteresis; // Degrees past a boundary before the string changes
+        this.stringTiltReversed = stringCrossing.reversed; // Tilt falls from G to E (sensor mounted the other way round)
+        this.stringMidiMode = stringCrossing.midiMode; // 'off', 'register' or 'constrain'
+        this.currentString = null; // Index into VIOLIN_STRINGS, null until the first sample
+
+        // Vibrato: periodic hand oscillation, from the left-hand sensor when there is one, otherwise the bow
+        this.vibratoDetector = this.createVibratoDetector();
+        this.vibrato = { active: false, rate: 0, depth: 0, cents: 0 }; // rate in Hz, depth as gyro amplitude (deg/s)
+        const vibratoSettings = this.loadVibratoSettings();
+        this.vibratoMaxCents = vibratoSettings.maxCents; // Pitch swing (± cents) at full vibrato depth, 0 = no modulation
+        this.mp3VibratoEnabled = vibratoSettings.mp3Enabled; // Modulated delay on the MP3 (needs the Web Audio graph)
+        if (this.mp3VibratoEnabled) {
+            this.needsWebAudioVolume = true;
+        }
+        this.midiVibrato = null; // {lfo, depth} nodes modulating the playing MIDI note's detune
+        this.mp3Vibrato = null; // {delay, lfo, depth} nodes between the MP3 gain and the speakers
+        this.VIBRATO_WINDOW_MS = 1000; // Analysis window (at least 4 periods in the vibrato band)
+        this.VIBRATO_MIN_RATE = 4; // Hz
+        this.VIBRATO_MAX_RATE = 9; // Hz
+        this.VIBRATO_DEFAULT_RATE = 6; // Hz, for the LFO before any vibrato was measured
+        this.VIBRATO_MIN_DEPTH = 15; // Gyro amplitude (deg/s) below which an oscillation isn't vibrato
+        this.VIBRATO_FULL_DEPTH = 120; // Gyro amplitude (deg/s) that gives the full pitch swing
+        this.VIBRATO_MIN_CORRELATION = 0.5; // Autocorrelation peak needed to count as periodic
+        this.VIBRATO_SMOOTHING = 0.2; // Per-sample blend of new rate/depth readings
+        this.MP3_VIBRATO_BASE_DELAY = 0.005; // Seconds; the MP3 delay line swings around this
+
+        // Accents: attack strength from the acceleration peak at each stroke onset
+        const savedAccentSensitivity = localStorage.getItem('violinPlayerAccentSensitivity');
+        this.accentSensitivity = savedAccentSensitivity !== null ? parseFloat(savedAccentSensitivity) : 1; // 0 = off
+        this.accentSamples = []; // [{time, accel}] over the last ACCENT_WINDOW_MS
+        this.pendingAccent = null; // {strength, time} for the next MIDI note
+        this.mp3Swell = null; // {strength, time} of the MP3 gain swell in progress
+        this.ACCENT_WINDOW_MS = 150; // Acceleration before the onset that belongs to the attack
+        this.ACCENT_MIN_ACCEL = 0.3; // g; a normal stroke start stays below this
+        this.ACCENT_FULL_ACCEL = 1.5; // g above the minimum for a full-strength accent (at 100% sensitivity)
+        this.ACCENT_NOTE_WINDOW_MS = 200; // A note starting this close to the onset gets the accent
+        this.ACCENT_GAIN_BOOST = 0.8; // Extra gain of the MIDI attack peak at full strength
+        this.ACCENT_MP3_SWELL = 0.4; // Extra MP3 level at the top of a full-strength swell (capped at full level)
+        this.ACCENT_HOLD_MS = 60; // MIDI attack peak before it decays
+        this.ACCENT_DECAY_MS = 250; // MIDI decay back to the note's volume
+        this.ACCENT_SWELL_MS = 300; // Length of the MP3 swell
+
+        // Tempo mode: bow speed sets the MP3 playback rate, pitch preserved (settings saved in localStorage)
+        const tempoSettings = this.loadTempoSettings();
+        this.tempoModeEnabled = tempoSettings.enabled;
+        this.tempoMinRate = tempoSettings.minRate; // At the motion threshold
+        this.tempoMaxRate = tempoSettings.maxRate; // At full motion speed
+        this.tempoSmoothingMs = tempoSettings.smoothingMs; // Time constant of the rate changes
+        this.tempoState = { lastTimestampUs: null, lastTime: null, rate: 1 };
+
+        // Binary IMU frames (little-endian): header(1) seq(uint16) timestampUs(uint32) ax,ay,az,gx,gy,gz
+        this.BINARY_HEADER_INT16 = 0xA1; // Axes as int16: accel in mg, gyro in 0.1 deg/s (19 bytes)
+        this.BINARY_HEADER_FLOAT32 = 0xA2; // Axes as float32: accel in g, gyro in deg/s (31 bytes)
+        this.BINARY_FRAME_SIZE_INT16 = 19;
+        this.BINARY_FRAME_SIZE_FLOAT32 = 31;
+        this.packetStats = { received: 0, lost: 0, reordered: 0, duplicates: 0 };
+        this.lastSequence = null; // Last in-order sequence number (uint16)
+        this.lastDeviceTimestampUs = null; // Device clock of the last binary frame
+        this.deviceSampleIntervalUs = 0; // Device time between the last two frames
+
         // Playback Mode
         this.playbackMode = 'MP3'; // 'MP3' or 'MIDI'
         this.midiNotes = [];
@@ -54,12 +241,59 @@ class ViolinPlayer {
         this.violinBaseNote = 69; // A4 = MIDI note 69
         this.currentMidiSource = null; // Current playing note source
         this.currentMidiGainNode = null; // Current MIDI gain node for live volume updates
+        this.currentMidiVolume = 0; // Gain the current note settles at (for a late accent)
+        this.currentMidiNoteStart = 0; // Date.now() when the current note started
         this.currentNoteVelocity = null; // Current note velocity for recalculation
         this.noteStopTimeout = null; // Timeout to stop note after duration
 
         // Settings
         this.maxVolume = 1.0;
-        this.motionThreshold = 0.15; // 15%
+        this.DEFAULT_MOTION_THRESHOLD = 0.15; // 15% at startup, until set on the slider or calibrated
+        this.motionThreshold = this.DEFAULT_MOTION_THRESHOLD;
+
+        // Motion model: gravity removal and gyro/accel weighting (saved in localStorage)
+        const motionModel = this.loadMotionModel();
+        this.gravityCompensation = motionModel.gravityCompensation; // 'fusion', 'highpass' or 'off'
+        this.motionGyroWeight = motionModel.gyroWeight; // Per deg/s of angular velocity
+        this.motionAccelWeight = motionModel.accelWeight; // Per g of linear acceleration
+        this.gravityEstimates = {}; // role -> low-pass gravity vector (high-pass mode)
+        this.GRAVITY_FILTER_ALPHA = 0.98; // ~1s time constant at 50 Hz
+
+        // Motion filter: smooths combined motion into motionSpeed (type and parameters saved in localStorage)
+        this.MOTION_FILTERS = {
+            movingAverage: {
+                label: 'Moving Average',
+                params: {
+                    windowMs: { label: 'Window', unit: 'ms', min: 20, max: 500, step: 10, default: 100 }
+                }
+            },
+            exponential: {
+                label: 'Exponential (EMA)',
+                params: {
+                    timeConstantMs: { label: 'Time Constant', unit: 'ms', min: 5, max: 500, step: 5, default: 60 }
+                }
+            },
+            oneEuro: {
+                label: 'One-Euro',
+                params: {
+                    minCutoff: { label: 'Min Cutoff', unit: ' Hz', min: 0.1, max: 10, step: 0.1, default: 1.5 },
+                    beta: { label: 'Speed Coefficient', unit: '', min: 0, max: 0.1, step: 0.001, default: 0.01 },
+                    derivativeCutoff: { label: 'Derivative Cutoff', unit: ' Hz', min: 0.1, max: 10, step: 0.1, default: 1 }
+                }
+            },
+            kalman: {
+                label: 'Kalman',
+                params: {
+                    processNoise: { label: 'Process Noise', unit: '', min: 100, max: 50000, step: 100, default: 2000 },
+                    measurementNoise: { label: 'Measurement Noise', unit: '', min: 1, max: 1000, step: 1, default: 100 }
+                }
+            }
+        };
+        const motionFilterSettings = this.loadMotionFilterSettings();
+        this.motionFilterType = motionFilterSettings.type;
+        this.motionFilterParams = motionFilterSettings.params; // type -> { param: value }
+        this.MOTION_FILTER_MAX_GAP = 0.5; // Seconds without samples before a filter restarts
+        this.motionFilter = this.createMotionFilter();
         this.currentVolume = 0;
 
         // Fade tracking (smooth transitions between volume levels)
@@ -70,17 +304,98 @@ class ViolinPlayer {
         this.fadeInDuration = 500; // fade-in duration
         this.fadeOutDuration = 250; // fade-out duration (faster)
 
+        // Outgoing device commands are serialized through one queue (GATT allows one write at a time)
+        this.commandQueue = []; // [{message, priority, resolve}], highest priority first
+        this.isWritingCommand = false;
+        this.lastCommandWriteTime = 0;
+        this.commandStats = { sent: 0, dropped: 0, failed: 0 };
+        this.COMMAND_MIN_INTERVAL_MS = 20; // Rate limit between writes
+        this.COMMAND_QUEUE_MAX = 16;
+
+        // Battery monitoring (BLE Battery Service or BAT: lines from the firmware)
+        this.batteryLevel = null; // Percent, null when unknown
+        this.batteryCharacteristic = null;
+        this.batteryListener = null;
+        this.batteryPollInterval = null;
+        this.lowBatteryWarned = false;
+        this.lowBatteryLedSent = false; // LED:LOWBAT already sent while the battery is low
+        this.LOW_BATTERY_THRESHOLD = 20; // Percent, low at or below
+        this.BATTERY_HYSTERESIS = 5; // Percent above the threshold before warning again
+        this.BATTERY_POLL_INTERVAL_MS = 60000; // For battery characteristics without NOTIFY
+
+        // Data-stall watchdog (device stops notifying without a clean disconnect)
+        this.dataStallTimeout = 500; // ms without samples before audio fades out
+        this.lastDataTime = 0; // Last sample from the main device
+        this.watchdogStartTime = 0; // Stands in for an extra bow sensor's last sample until it sends one
+        this.isDataStalled = false;
+        this.watchdogInterval = null;
+        this.WATCHDOG_INTERVAL_MS = 50;
+        this.sampleTimes = []; // Sample arrival times for the link-quality indicator
+        this.LINK_QUALITY_WINDOW_MS = 2000;
+
         // Volume smoothing (moving average filter for smoother transitions)
         this.volumeHistory = [];
         this.volumeHistorySize = 5; // Average last 5 volume values
         this.smoothedVolume = 0;
 
-        // Constants
-        this.MAX_MOTION_SPEED = 250.0;
+        // Motion speed that counts as full speed (set by calibration)
+        this.DEFAULT_MAX_MOTION_SPEED = 250.0;
+        this.maxMotionSpeed = this.DEFAULT_MAX_MOTION_SPEED;
+        this.uncalibratedMotion = null; // {maxSpeed, threshold} in use before a calibration profile was applied
+
+        // Motion calibration per device and player (saved in localStorage)
+        this.playerName = localStorage.getItem('violinPlayerPlayerName') || 'Default';
+        this.motionCalibration = null; // {gyroBias, noiseFloor, softSpeed, maxSpeed, threshold, calibratedAt}
+        this.calibrationWizard = null; // Steps in progress
+        this.CALIBRATION_STEPS = [
+            { id: 'still', prompt: 'Hold the bow still', durationMs: 3000 },
+            { id: 'soft', prompt: 'Bow softly, as quietly as you would play', durationMs: 6000 },
+            { id: 'fast', prompt: 'Bow as fast as you can', durationMs: 6000 }
+        ];
+        this.CALIBRATION_COUNTDOWN_MS = 2000; // Time to get ready before each step records
+        this.CALIBRATION_MIN_SAMPLES = 20;
+        this.CALIBRATION_STILL_MAX_ROTATION = 20; // deg/s from the mean before "hold still" fails
+
+        // Bow orientation from sensor fusion (gyro + accel)
+        this.fusionAlgorithm = localStorage.getItem('violinPlayerFusionAlgorithm') || 'madgwick'; // 'madgwick' or 'mahony'
+        this.orientationQuaternion = [1, 0, 0, 0]; // w, x, y, z
+        this.orientation = { roll: 0, pitch: 0, yaw: 0 }; // Degrees, readable by the rest of the app
+        this.orientationInitialized = false;
+        this.lastOrientationTimestampUs = null; // Device clock (binary frames)
+        this.lastOrientationTime = null; // Arrival time (CSV), ms
+        this.mahonyIntegral = [0, 0, 0];
+        this.MADGWICK_BETA = 0.1; // Accel correction gain
+        this.MAHONY_KP = 1.0; // Proportional gain
+        this.MAHONY_KI = 0.0; // Integral gain (gyro bias)
+        this.MAX_FUSION_DT = 0.1; // Seconds; longer gaps fall back to the nominal interval
+        this.NOMINAL_SAMPLE_INTERVAL = 0.02; // Seconds (50 Hz)
 
         // Saved connection info
         this.savedConnection = this.loadSavedConnection();
 
+        // IMU mapping profile of the main device (stored with the saved connection)
+        this.IMU_FIELDS = ['ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+        this.DEFAULT_IMU_MAPPING = {
+            fields: ['ax', 'ay', 'az', 'gx', 'gy', 'gz'], // CSV column order, '-' skips a column
+            axes: ['x', 'y', 'z'], // Device axis for player X, Y, Z; '-' prefix flips the sign
+            accelUnit: 'auto', // 'auto' (from the handshake), 'g' or 'ms2'
+            gyroUnit: 'auto', // 'auto' (from the handshake), 'dps' or 'rads'
+            bowAxis: 'x', // Player axis that runs along the bow
+            strokeAxis: 'z' // Player gyro axis the bow rotates around while bowing; '-' flips the sign
+        };
+        this.deviceMappings = this.loadDeviceMappings(); // Connection key -> mapping profile, main device and extra sensors
+        this.imuMapping = this.getDeviceMapping(this.savedConnection);
+
+        // Multiple devices: the main connection plus extra BLE sensors, one per role
+        this.DEVICE_ROLES = { bow: 'Bow', body: 'Violin Body', leftHand: 'Left Hand' };
+        this.primaryRole = localStorage.getItem('violinPlayerPrimaryRole') || 'bow'; // Role of the main connection
+        this.extraDevices = []; // [{ role, device, characteristic, buffer, ... }]
+        this.savedExtraDevices = this.loadSavedExtraDevices();
+        this.mappingFormRole = null; // Extra sensor role the mapping form edits, null for the main device
+        this.deviceStates = {}; // role -> { imuData, motionFilter, motionSpeed, lastUpdate }
+        this.motionCombineMode = 'bow'; // 'bow' (bow sensor only) or 'relative' (bow minus body motion)
+        this.DEVICE_STATE_STALE_MS = 500; // Ignore a device's data for combining after this long
+
         // Console log history
         this.consoleHistory = [];
         this.maxConsoleLines = 100;
@@ -105,8 +420,11 @@ class ViolinPlayer {
         // Load default tracks after cache is ready
         this.loadDefaultTracks();
 
-        // Attempt auto-reconnect after short delay
-        setTimeout(() => this.attemptAutoReconnect(), 1000);
+        // Attempt auto-reconnect after short delay (main device first, then extra sensors)
+        setTimeout(async () => {
+            await this.attemptAutoReconnect();
+            await this.attemptExtraDevicesReconnect();
+        }, 1000);
     }
 
     // ===== BUTTON STATE UTILITY FUNCTIONS =====
@@ -174,6 +492,11 @@ class ViolinPlayer {
         this.audioElement = new Audio();
         this.audioElement.loop = false; // Default: loop disabled
 
+        // Tempo mode changes playbackRate; keep the pitch (prefixed for older Safari and Firefox)
+        this.audioElement.preservesPitch = true;
+        this.audioElement.webkitPreservesPitch = true;
+        this.audioElement.mozPreservesPitch = true;
+
         // Enable background audio playback for iOS
         // This prevents audio from stopping when browser is minimized or screen is off
         this.audioElement.setAttribute('playsinline', '');
@@ -397,6 +720,7 @@ class ViolinPlayer {
 
             // Mark that we're using Web Audio API for volume
             this.usingWebAudioVolume = true;
+            this.routeMp3Vibrato();
             console.log('✅ Web Audio volume control ready!');
             console.log('========================================');
             return true;
@@ -564,10 +888,13 @@ class ViolinPlayer {
         const isSignificantChange = Math.abs(clampedVolume - previousVolume) > 0.02;
         const shouldSendToArduino = isForceSet || isTransitionToZero || isTransitionToMax || (clampedVolume > 0 && clampedVolume < 1.0 && isSignificantChange);
 
+        // An accent swell only changes what is heard, not the volume the device is told
+        const outputLevel = this.getMp3OutputLevel(clampedVolume, isForceSet);
+
         try {
             // When using Web Audio volume, use gain node with smooth ramping
             if (this.usingWebAudioVolume && this.audioGainNode) {
-                this.setGainWithRamp(this.audioGainNode, clampedVolume);
+                this.setGainWithRamp(this.audioGainNode, outputLevel);
 //                if (shouldLog) {
 //                    console.log(`🔊 Volume set via Web Audio gain: ${(clampedVolume * 100).toFixed(0)}%`);
 //                    console.log('  Method: Web Audio API GainNode (smooth ramp)');
@@ -585,7 +912,7 @@ class ViolinPlayer {
             // Try standard HTML5 volume property (desktop browsers)
             if (this.audioElement && typeof this.audioElement.volume !== 'undefined') {
                 const before = this.audioElement.volume;
-                this.audioElement.volume = clampedVolume;
+                this.audioElement.volume = outputLevel;
                 const after = this.audioElement.volume;
 
 //                if (shouldLog) {
@@ -606,7 +933,7 @@ class ViolinPlayer {
                 if (shouldLog) {
                     console.log(`🔊 Using fallback Web Audio gain`);
                 }
-                this.useWebAudioGain(clampedVolume);
+                this.useWebAudioGain(outputLevel);
             }
 
             // Send to Arduino
@@ -932,8 +1259,90 @@ class ViolinPlayer {
     setupEventListeners() {
         // Connection buttons
         document.getElementById('connectBtn').addEventListener('click', () => this.connectDevice());
+        document.getElementById('connectSerialBtn').addEventListener('click', () => this.connectSerial());
+        document.getElementById('connectWebSocketBtn').addEventListener('click', () => this.connectWebSocket());
+        document.getElementById('connectVirtualBtn').addEventListener('click', () => this.connectVirtualDevice());
+        document.getElementById('connectPhoneBtn').addEventListener('click', () => this.connectPhoneMotion());
+        document.getElementById('calibratePhoneBtn').addEventListener('click', () => this.startPhoneCalibration());
+
+        // Orientation (sensor fusion)
+        document.getElementById('fusionAlgorithmSelect').value = this.fusionAlgorithm;
+        document.getElementById('fusionAlgorithmSelect').addEventListener('change', (e) => {
+            this.fusionAlgorithm = e.target.value;
+            localStorage.setItem('violinPlayerFusionAlgorithm', e.target.value);
+            this.resetOrientation();
+            console.log(`🧭 Orientation filter: ${e.target.value === 'madgwick' ? 'Madgwick' : 'Mahony'}`);
+        });
+        document.getElementById('resetOrientationBtn').addEventListener('click', () => {
+            this.resetOrientation();
+            console.log('🧭 Orientation reset');
+        });
+
+        // IMU mapping profile
+        ['mappingFieldsInput', 'mappingAxesInput', 'mappingAccelUnitSelect', 'mappingGyroUnitSelect', 'mappingBowAxisSelect',
+            'mappingStrokeAxisSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateImuMappingFromForm());
+        });
+        document.getElementById('resetMappingBtn').addEventListener('click', () => {
+            this.renderImuMappingForm(this.DEFAULT_IMU_MAPPING);
+            this.updateImuMappingFromForm();
+        });
+        document.getElementById('mappingDeviceSelect').addEventListener('change', (e) => {
+            this.mappingFormRole = e.target.value || null;
+            this.renderImuMappingForm();
+        });
+
+        // Virtual device motion
+        document.getElementById('virtualPatternSelect').addEventListener('change', (e) => {
+            this.virtualPattern = e.target.value;
+            console.log(`🤖 Virtual device pattern: ${e.target.value}`);
+        });
+
+        document.getElementById('virtualSpeedSlider').addEventListener('input', (e) => {
+            this.virtualBowSpeed = e.target.value / 100;
+            document.getElementById('virtualSpeedValue').textContent = e.target.value;
+        });
+
+        // Air bow pad
+        const bowPad = document.getElementById('bowPad');
+        bowPad.addEventListener('pointerdown', (e) => this.startAirBow(e));
+        bowPad.addEventListener('pointermove', (e) => this.moveAirBow(e));
+        bowPad.addEventListener('pointerup', (e) => this.endAirBow(e));
+        bowPad.addEventListener('pointercancel', (e) => this.endAirBow(e));
+
+        // Advanced: manual characteristic selection
+        document.getElementById('manualCharacteristicToggle').addEventListener('change', (e) => {
+            this.manualCharacteristicSelection = e.target.checked;
+            console.log(`🔍 Characteristic selection: ${e.target.checked ? 'manual' : 'automatic'}`);
+        });
+
+        // Multi-device
+        document.getElementById('primaryRoleSelect').value = this.primaryRole;
+        document.getElementById('primaryRoleSelect').addEventListener('change', (e) => this.setPrimaryRole(e.target.value));
+        document.getElementById('addExtraDeviceBtn').addEventListener('click', () => this.addExtraDevice());
+        document.getElementById('motionCombineSelect').addEventListener('change', (e) => {
+            this.motionCombineMode = e.target.value;
+            console.log(`🎻 Motion source: ${e.target.value === 'relative' ? 'bow relative to violin body' : 'bow only'}`);
+        });
         document.getElementById('disconnectBtn').addEventListener('click', () => this.disconnect());
 
+        // USB serial plug/unplug events
+        if ('serial' in navigator) {
+            navigator.serial.addEventListener('connect', () => {
+                // A replugged cable shouldn't wait for the next backoff step
+                if (this.isReconnecting && this.reconnectType === 'serial') {
+                    this.scheduleReconnect(0);
+                } else {
+                    this.attemptAutoReconnect();
+                }
+            });
+            navigator.serial.addEventListener('disconnect', (event) => {
+                if (event.target === this.serialPort) {
+                    this.handleSerialDisconnect();
+                }
+            });
+        }
+
         // Playback mode buttons
         document.getElementById('mp3ModeBtn').addEventListener('click', () => this.setPlaybackMode('MP3'));
         document.getElementById('midiModeBtn').addEventListener('click', () => this.setPlaybackMode('MIDI'));
@@ -991,6 +1400,132 @@ class ViolinPlayer {
             document.getElementById('motionThresholdValue').textContent = e.target.value;
         });
 
+        // Fine-tuning after calibration is kept in the profile
+        document.getElementById('motionThresholdSlider').addEventListener('change', () => {
+            if (this.motionCalibration && !this.calibrationWizard) {
+                this.motionCalibration.threshold = this.motionThreshold;
+                this.saveMotionCalibration();
+            }
+        });
+
+        // Bow stroke display
+        this.on('strokestart', (event) => this.showStrokeStart(event));
+        this.on('strokeend', (event) => this.showStrokeEnd(event));
+
+        // Accents
+        this.on('strokestart', (event) => this.detectAccent(event));
+        document.getElementById('accentSensitivitySlider').addEventListener('input', (e) => {
+            this.accentSensitivity = e.target.value / 100;
+            document.getElementById('accentSensitivityValue').textContent = e.target.value;
+        });
+        document.getElementById('accentSensitivitySlider').addEventListener('change', () => {
+            localStorage.setItem('violinPlayerAccentSensitivity', this.accentSensitivity);
+        });
+
+        // Gestures
+        document.getElementById('gestureToggle').addEventListener('change', (e) => {
+            this.gestureRecognitionEnabled = e.target.checked;
+            this.gestureBuffer = [];
+            console.log(`👋 Gesture control ${e.target.checked ? 'enabled' : 'disabled'}`);
+        });
+
+        document.getElementById('gestureThresholdSlider').addEventListener('input', (e) => {
+            this.gestureThreshold = parseFloat(e.target.value);
+            document.getElementById('gestureThresholdValue').textContent = this.gestureThreshold.toFixed(2);
+        });
+        document.getElementById('gestureThresholdSlider').addEventListener('change', () => {
+            localStorage.setItem('violinPlayerGestureThreshold', this.gestureThreshold);
+        });
+
+        document.getElementById('addGestureBtn').addEventListener('click', () => {
+            const nameInput = document.getElementById('gestureNameInput');
+            this.addGesture(nameInput.value, document.getElementById('gestureActionSelect').value);
+            nameInput.value = '';
+        });
+
+        // String crossing
+        this.stringBoundaries.forEach((boundary, i) => {
+            const slider = document.getElementById(`stringBoundary${i}Slider`);
+            slider.addEventListener('input', () => this.setStringBoundary(i, parseFloat(slider.value)));
+            slider.addEventListener('change', () => this.saveStringCrossingSettings());
+        });
+
+        document.getElementById('stringHysteresisSlider').addEventListener('input', (e) => {
+            this.stringHysteresis = parseFloat(e.target.value);
+            document.getElementById('stringHysteresisValue').textContent = e.target.value;
+        });
+        document.getElementById('stringHysteresisSlider').addEventListener('change', () => this.saveStringCrossingSettings());
+
+        document.getElementById('stringReverseToggle').addEventListener('change', (e) => {
+            this.stringTiltReversed = e.target.checked;
+            this.currentString = null;
+            this.saveStringCrossingSettings();
+        });
+
+        document.getElementById('stringMidiModeSelect').addEventListener('change', (e) => {
+            this.stringMidiMode = e.target.value;
+            this.saveStringCrossingSettings();
+            console.log(`🎻 String crossing in MIDI: ${e.target.value}`);
+        });
+
+        // Vibrato
+        document.getElementById('vibratoDepthSlider').addEventListener('input', (e) => {
+            this.vibratoMaxCents = parseFloat(e.target.value);
+            document.getElementById('vibratoDepthValue').textContent = e.target.value;
+        });
+        document.getElementById('vibratoDepthSlider').addEventListener('change', () => this.saveVibratoSettings());
+        document.getElementById('mp3VibratoToggle').addEventListener('change', (e) => this.setMp3VibratoEnabled(e.target.checked));
+
+        // Motion filter
+        document.getElementById('motionFilterSelect').addEventListener('change', (e) => this.setMotionFilterType(e.target.value));
+
+        // Motion calibration
+        document.getElementById('playerNameInput').addEventListener('change', (e) => this.setPlayerName(e.target.value));
+        document.getElementById('calibrateMotionBtn').addEventListener('click', () => this.startMotionCalibration());
+        document.getElementById('cancelCalibrationBtn').addEventListener('click', () => this.cancelMotionCalibration());
+        document.getElementById('resetCalibrationBtn').addEventListener('click', () => this.resetMotionCalibration());
+
+        // Motion model
+        document.getElementById('gravityCompensationSelect').addEventListener('change', (e) => {
+            this.gravityCompensation = e.target.value;
+            this.gravityEstimates = {};
+            this.saveMotionModel();
+            console.log(`🌍 Gravity compensation: ${e.target.value}`);
+        });
+
+        document.getElementById('gyroWeightSlider').addEventListener('input', (e) => {
+            this.motionGyroWeight = parseFloat(e.target.value);
+            document.getElementById('gyroWeightValue').textContent = this.motionGyroWeight.toFixed(2);
+        });
+        document.getElementById('gyroWeightSlider').addEventListener('change', () => this.saveMotionModel());
+
+        document.getElementById('accelWeightSlider').addEventListener('input', (e) => {
+            this.motionAccelWeight = parseFloat(e.target.value);
+            document.getElementById('accelWeightValue').textContent = this.motionAccelWeight.toFixed(1);
+        });
+        document.getElementById('accelWeightSlider').addEventListener('change', () => this.saveMotionModel());
+
+        // Tempo mode
+        document.getElementById('tempoModeToggle').addEventListener('change', (e) => this.setTempoModeEnabled(e.target.checked));
+
+        document.getElementById('tempoMinRateSlider').addEventListener('input', (e) => {
+            this.tempoMinRate = parseFloat(e.target.value);
+            document.getElementById('tempoMinRateValue').textContent = this.tempoMinRate.toFixed(2);
+        });
+        document.getElementById('tempoMinRateSlider').addEventListener('change', () => this.saveTempoSettings());
+
+        document.getElementById('tempoMaxRateSlider').addEventListener('input', (e) => {
+            this.tempoMaxRate = parseFloat(e.target.value);
+            document.getElementById('tempoMaxRateValue').textContent = this.tempoMaxRate.toFixed(2);
+        });
+        document.getElementById('tempoMaxRateSlider').addEventListener('change', () => this.saveTempoSettings());
+
+        document.getElementById('tempoSmoothingSlider').addEventListener('input', (e) => {
+            this.tempoSmoothingMs = parseFloat(e.target.value);
+            document.getElementById('tempoSmoothingValue').textContent = e.target.value;
+        });
+        document.getElementById('tempoSmoothingSlider').addEventListener('change', () => this.saveTempoSettings());
+
         // Loop Toggle
         document.getElementById('loopToggle').addEventListener('change', (e) => {
             this.audioElement.loop = e.target.checked;
@@ -1006,6 +1541,13 @@ class ViolinPlayer {
             this.sendLedCommandToArduino(e.target.checked);
         });
 
+        // Low Battery LED Warning Toggle
+        document.getElementById('lowBatteryLedToggle').addEventListener('change', (e) => {
+            this.lowBatteryLedEnabled = e.target.checked;
+            console.log(`🪫 Low battery LED warning ${e.target.checked ? 'enabled' : 'disabled'}`);
+            this.updateLowBatteryLed();
+        });
+
         // Arduino Max Volume Scale
         document.getElementById('arduinoMaxVolumeSlider').addEventListener('input', (e) => {
             this.arduinoMaxVolumeScale = e.target.value / 100;
@@ -1036,6 +1578,16 @@ class ViolinPlayer {
             console.log(`🎵 Fade-out duration set to: ${e.target.value}ms`);
         });
 
+        // Data Stall Timeout
+        document.getElementById('stallTimeoutSlider').addEventListener('input', (e) => {
+            this.dataStallTimeout = parseInt(e.target.value);
+            document.getElementById('stallTimeoutValue').textContent = e.target.value;
+        });
+
+        document.getElementById('stallTimeoutSlider').addEventListener('change', (e) => {
+            console.log(`⏱️ Data stall timeout set to: ${e.target.value}ms`);
+        });
+
         // Service modal
         document.getElementById('closeServiceModal').addEventListener('click', () => this.closeModal('serviceModal'));
 
@@ -1178,31 +1730,10 @@ class ViolinPlayer {
             this.updateStatus('Connecting...');
 
             // Request Bluetooth device
-            // Web Bluetooth requires services to be declared in optionalServices
-            // Add your custom service UUID here if it's not discovered
-            const commonServices = [
-                // Standard services
-                'generic_access',
-                'generic_attribute',
-                'device_information',
-                'battery_service',
-                // Common custom services
-                '12345678-1234-5678-1234-56789abcdef0',
-                '12345678-1234-5678-1234-56789abcdef1',
-                '19b10000-e8f2-537e-4f6c-d104768a1214', // Arduino Nano 33 IoT IMU service
-                '19b10001-e8f2-537e-4f6c-d104768a1214', // Arduino characteristic
-                '6e400001-b5a3-f393-e0a9-e50e24dcca9e', // Nordic UART service
-                '0000180d-0000-1000-8000-00805f9b34fb', // Heart Rate
-                '0000180f-0000-1000-8000-00805f9b34fb', // Battery Service
-                '0000181a-0000-1000-8000-00805f9b34fb', // Environmental Sensing
-                '0000181c-0000-1000-8000-00805f9b34fb', // User Data
-                // Add more as needed - check your Arduino code for the service UUID
-            ];
-
             this.device = await navigator.bluetooth.requestDevice({
                 acceptAllDevices: true,
-                optionalServices: commonServices,
-//                filters: [{ service: commonServices }]
+                optionalServices: this.BLE_OPTIONAL_SERVICES,
+//                filters: [{ service: this.BLE_OPTIONAL_SERVICES }]
             });
 
             console.log('Device selected:', this.device.name);
@@ -1233,8 +1764,8 @@ class ViolinPlayer {
             const services = await this.server.getPrimaryServices();
             console.log(`Discovered ${services.length} services`);
 
-            // Show service selector
-            this.showServiceSelector(services);
+            // Find the IMU characteristic (or let the user pick it)
+            await this.chooseImuCharacteristic(services);
 
         } catch (error) {
             console.error('Connection error:', error);
@@ -1255,28 +1786,181 @@ class ViolinPlayer {
             return;
         }
 
-        this.updateStatus('Device disconnected');
+        // Keep the device so the link can be restored in the background
+        const droppedDevice = this.device;
 
         // Clean up without trying to disconnect again
         this.device = null;
         this.server = null;
         this.characteristic = null;
+        this.writeCharacteristic = null;
+        this.connectionType = null;
+
+        this.startReconnect('ble', droppedDevice);
+    }
 
+    // Shared UI/audio cleanup once a device connection is gone (any transport)
+    onDeviceDisconnected() {
         document.getElementById('disconnectBtn').disabled = true;
         document.getElementById('imuSection').style.display = 'none';
 
+        // An extra sensor in the bow role keeps driving playback (and its stall watchdog) without the main device
+        const bowSensorLeft = this.extraDevices.some(entry => entry.role === 'bow');
+        if (!bowSensorLeft) {
+            this.stopWatchdog();
+        }
+        this.stopBatteryMonitoring();
+        this.clearCommandQueue();
+        this.resetDeviceInfo();
+        delete this.deviceStates[this.primaryRole];
+        this.cancelMotionCalibration();
+        this.loadMotionCalibration();
+        this.cancelGestureRecording();
+
         // Only pause audio if test playback is NOT active
-        if (this.audioElement && !this.isTestPlaying) {
-            this.forcePause();
-            console.log('Audio paused (Bluetooth disconnected, test playback not active)');
-        } else if (this.isTestPlaying) {
+        if (this.isTestPlaying) {
             console.log('Test playback active - keeping audio playing');
+        } else if (bowSensorLeft) {
+            console.log('🎻 Main device disconnected - the extra bow sensor keeps driving audio');
+        } else if (this.audioElement) {
+            this.forcePause();
+            console.log('Audio paused (device disconnected, test playback not active)');
+        }
+    }
+
+    // ===== CHARACTERISTIC AUTO-DETECTION =====
+
+    // Pick the IMU characteristic automatically, falling back to the manual selector
+    async chooseImuCharacteristic(services, onSelect = null) {
+        if (!this.manualCharacteristicSelection) {
+            this.updateStatus('Connected. Detecting IMU data...');
+            const detected = await this.autoDetectImuCharacteristic(services);
+
+            if (detected) {
+                if (onSelect) {
+                    onSelect(detected.characteristic, detected.serviceUuid);
+                } else {
+                    await this.selectCharacteristic(detected.characteristic, detected.serviceUuid);
+                }
+                return;
+            }
+
+            console.warn('⚠️ Could not detect the IMU characteristic automatically - please pick it manually');
+            this.updateStatus('Connected. Select the IMU characteristic');
+        }
+
+        this.showServiceSelector(services, onSelect);
+    }
+
+    // Subscribe briefly to every notifying characteristic and keep the one that streams IMU data
+    async autoDetectImuCharacteristic(services) {
+        const skippedServices = [
+            '00001800-0000-1000-8000-00805f9b34fb', // Generic Access
+            '00001801-0000-1000-8000-00805f9b34fb', // Generic Attribute
+            '0000180f-0000-1000-8000-00805f9b34fb'  // Battery Service
+        ];
+        const candidates = [];
+
+        for (const service of services) {
+            if (skippedServices.includes(service.uuid.toLowerCase())) {
+                continue;
+            }
+            try {
+                const characteristics = await service.getCharacteristics();
+                characteristics
+                    .filter(c => c.properties.notify || c.properties.indicate)
+                    .forEach(c => candidates.push({ characteristic: c, serviceUuid: service.uuid, payloads: [], listener: null }));
+            } catch (error) {
+                console.warn(`Could not read characteristics of ${service.uuid}:`, error.message);
+            }
+        }
+
+        console.log(`🔍 Sniffing ${candidates.length} notifying characteristic(s) for IMU data...`);
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        // GATT operations must not overlap, so subscribe one at a time, then listen to all at once
+        const subscribed = [];
+        for (const candidate of candidates) {
+            candidate.listener = (event) => {
+                if (candidate.payloads.length < this.SNIFF_MAX_PAYLOADS) {
+                    // Copy - the browser may reuse the buffer for the next notification
+                    const value = event.target.value;
+                    candidate.payloads.push(new DataView(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength)));
+                }
+            };
+            try {
+                candidate.characteristic.addEventListener('characteristicvaluechanged', candidate.listener);
+                await candidate.characteristic.startNotifications();
+                subscribed.push(candidate);
+            } catch (error) {
+                candidate.characteristic.removeEventListener('characteristicvaluechanged', candidate.listener);
+                console.warn(`Could not subscribe to ${candidate.characteristic.uuid}:`, error.message);
+            }
+        }
+
+        await this.sleep(this.SNIFF_DURATION_MS);
+
+        for (const candidate of subscribed) {
+            candidate.characteristic.removeEventListener('characteristicvaluechanged', candidate.listener);
+            try {
+                await candidate.characteristic.stopNotifications();
+            } catch (error) {
+                // Device may not allow unsubscribing - harmless
+            }
+        }
+
+        // Keep the characteristic with the most valid IMU samples
+        let best = null;
+        let bestCount = 0;
+        for (const candidate of subscribed) {
+            const result = this.scoreImuPayloads(candidate.payloads);
+            console.log(`  ${candidate.characteristic.uuid}: ${candidate.payloads.length} payload(s), ${result.samples} IMU sample(s)${result.format ? ' (' + result.format + ')' : ''}`);
+            if (result.samples > bestCount) {
+                best = candidate;
+                bestCount = result.samples;
+            }
+        }
+
+        if (!best || bestCount < this.SNIFF_MIN_SAMPLES) {
+            return null;
+        }
+
+        console.log(`✅ IMU characteristic detected: ${best.characteristic.uuid}`);
+        return { characteristic: best.characteristic, serviceUuid: best.serviceUuid };
+    }
+
+    // Count payloads that look like IMU data: binary frames or lines of six numbers
+    scoreImuPayloads(payloads) {
+        let binarySamples = 0;
+        let text = '';
+
+        for (const payload of payloads) {
+            if (this.isBinaryImuPacket(payload)) {
+                binarySamples += payload.byteLength / this.getBinaryFrameSize(payload.getUint8(0));
+            } else {
+                text += new TextDecoder().decode(payload);
+            }
         }
+
+        const number = /^\s*[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?\s*$/;
+        const csvSamples = text.split('\n').filter(line => {
+            const parts = line.split(',');
+            return parts.length >= 6 && parts.slice(0, 6).every(part => number.test(part));
+        }).length;
+
+        if (binarySamples >= csvSamples) {
+            return { samples: binarySamples, format: binarySamples > 0 ? 'binary' : null };
+        }
+        return { samples: csvSamples, format: 'csv' };
     }
 
-    async showServiceSelector(services) {
+    // onSelect(characteristic, serviceUuid) overrides what happens when a characteristic is picked
+    async showServiceSelector(services, onSelect = null) {
         const servicesList = document.getElementById('servicesList');
         servicesList.innerHTML = '';
+        this.manualWriteCharacteristic = null;
 
         console.log('=== DISCOVERED SERVICES ===');
         console.log(`Total services found: ${services.length}`);
@@ -1290,7 +1974,7 @@ class ViolinPlayer {
                 <div style="padding: 20px; text-align: center; color: #ef4444;">
                     <h3>⚠️ No Services Found</h3>
                     <p>Your Arduino's custom service UUID may not be in the optionalServices list.</p>
-                    <p><strong>To fix:</strong> Check your Arduino code for the service UUID and add it to the commonServices array in app.js (line ~134)</p>
+                    <p><strong>To fix:</strong> Check your Arduino code for the service UUID and add it to the BLE_OPTIONAL_SERVICES list in app.js (ViolinPlayer constructor)</p>
                     <p>Example: '19b10000-e8f2-537e-4f6c-d104768a1214'</p>
                 </div>
             `;
@@ -1331,9 +2015,32 @@ class ViolinPlayer {
                     `;
 
                     charDiv.addEventListener('click', () => {
-                        this.selectCharacteristic(characteristic, service.uuid);
+                        if (onSelect) {
+                            onSelect(characteristic, service.uuid);
+                        } else {
+                            this.selectCharacteristic(characteristic, service.uuid, this.manualWriteCharacteristic);
+                        }
                     });
 
+                    // Main device only: optionally send commands to a different characteristic
+                    if (!onSelect && this.canWriteCharacteristic(characteristic)) {
+                        const writeButton = document.createElement('button');
+                        writeButton.className = 'characteristic-write-btn';
+                        writeButton.textContent = 'Use for commands';
+                        writeButton.addEventListener('click', (event) => {
+                            event.stopPropagation(); // Don't select it as the data characteristic
+                            this.manualWriteCharacteristic = characteristic;
+                            servicesList.querySelectorAll('.characteristic-write-btn').forEach(button => {
+                                button.classList.remove('selected');
+                                button.textContent = 'Use for commands';
+                            });
+                            writeButton.classList.add('selected');
+                            writeButton.textContent = '✓ Commands';
+                            console.log(`✍️ Commands will go to ${characteristic.uuid}`);
+                        });
+                        charDiv.appendChild(writeButton);
+                    }
+
                     characteristicsList.appendChild(charDiv);
                 }
             } catch (error) {
@@ -1348,15 +2055,26 @@ class ViolinPlayer {
         this.showModal('serviceModal');
     }
 
-    async selectCharacteristic(characteristic, serviceUuid) {
+    // writeCharacteristic: where commands go; found automatically when not given
+    async selectCharacteristic(characteristic, serviceUuid, writeCharacteristic = null) {
         try {
             this.characteristic = characteristic;
+            this.writeCharacteristic = writeCharacteristic || await this.findWriteCharacteristic(characteristic);
+
+            if (!this.writeCharacteristic) {
+                console.warn('⚠️ No writable characteristic found - device commands (VOL, IDLE, LED) are disabled');
+            } else if (this.writeCharacteristic !== characteristic) {
+                console.log(`✍️ Commands go to ${this.getCharacteristicName(this.writeCharacteristic.uuid)} (${this.writeCharacteristic.uuid})`);
+            }
 
             // Save connection info
-            this.saveConnection(this.device.id, this.device.name, serviceUuid, characteristic.uuid);
+            const write = this.writeCharacteristic;
+            this.saveConnection(this.device.id, this.device.name, serviceUuid, characteristic.uuid,
+                write ? write.service.uuid : null, write ? write.uuid : null);
 
             this.closeModal('serviceModal');
             this.updateStatus('Subscribing to characteristic...');
+            this.resetStreamState();
 
             // Start notifications
             await characteristic.startNotifications();
@@ -1364,61 +2082,9 @@ class ViolinPlayer {
                 this.handleBleData(event.target.value);
             });
 
-            this.updateStatus('Connected and subscribed!');
-            document.getElementById('disconnectBtn').disabled = false;
-            document.getElementById('imuSection').style.display = 'block';
-
-            // Send initial volume level to Arduino
-            this.sendVolumeToArduino();
-
-            // Stop test playback if it's running
-            if (this.isTestPlaying) {
-                this.isTestPlaying = false;
-                this.updateTestPlaybackButton(false);
-
-                // Stop test playback audio
-                if (this.playbackMode === 'MP3') {
-                    this.forcePause();
-                } else {
-                    this.stopMidiPlayback();
-                }
-
-                console.log('Test playback stopped (IMU playback auto-started)');
-            }
-
-            if (this.startIMUPlaybackOnConnect) {
-                // Automatically start IMU playback after successful connection
-                console.log('🎵 Auto-starting IMU playback after Bluetooth connection...');
-                this.isImuPlaying = true;
-                this.updateImuPlaybackButton(true);
-
-                // Start audio if track is loaded
-                if (this.audioElement.src) {
-                    // Resume AudioContext if needed
-                    if (this.audioContext.state === 'suspended') {
-                        console.log('🔊 Resuming AudioContext...');
-                        await this.audioContext.resume();
-                    }
-
-                    // Setup Web Audio API if needed
-                    if (this.needsWebAudioVolume && !this.usingWebAudioVolume) {
-                        console.log('🔊 Setting up Web Audio API...');
-                        await this.setupWebAudioVolume();
-                    }
-
-                    // Start playback
-                    this.audioElement.play().catch(e => console.log('Audio play error:', e));
-                    console.log('✅ IMU playback auto-started!');
-                } else {
-                    console.log('ℹ️ IMU playback enabled, waiting for audio track to be loaded');
-                }
-            } else {
-                // Start idle mode animation by default after connection
-                console.log('🌙 Starting idle mode animation after Bluetooth connection...');
-                setTimeout(() => {
-                    this.startIdleMode();
-                }, 500);
-            }
+            this.connectionType = 'ble';
+            await this.startBatteryMonitoring(this.server);
+            await this.onDeviceConnected('Connected and subscribed!');
 
         } catch (error) {
             console.error('Subscription error:', error);
@@ -1426,170 +2092,500 @@ class ViolinPlayer {
         }
     }
 
-    // Send current volume level to Arduino (0-100)
-    async sendVolumeToArduino() {
-        if (!this.characteristic) {
-            console.warn('⚠️ Cannot send volume: No characteristic connected');
-            return false;
+    canWriteCharacteristic(characteristic) {
+        return characteristic.properties.write || characteristic.properties.writeWithoutResponse;
+    }
+
+    // Commands go to the data characteristic if it's writable, otherwise to a writable
+    // sibling in the same service (Nordic UART: notify on TX 6e400003, write to RX 6e400002)
+    async findWriteCharacteristic(characteristic) {
+        if (this.canWriteCharacteristic(characteristic)) {
+            return characteristic;
         }
 
-        // Check if Arduino volume feedback is enabled
-        if (!this.arduinoVolumeFeedbackEnabled) {
-            return false; // Silently skip if disabled
+        try {
+            const siblings = await characteristic.service.getCharacteristics();
+            const writable = siblings.filter(c => c.uuid !== characteristic.uuid && this.canWriteCharacteristic(c));
+            return writable.find(c => c.uuid === this.NUS_RX_CHARACTERISTIC) || writable[0] || null;
+        } catch (error) {
+            console.warn('⚠️ Could not look for a write characteristic:', error.message);
+            return null;
         }
-        
-        // Don't send actual volume if in idle mode
-        if (this.idleMode) {
-            return false; // Idle animation handles volume sending
+    }
+
+    // The write characteristic from the saved connection, or null to detect it again
+    async restoreWriteCharacteristic(server) {
+        const saved = this.savedConnection;
+        if (!saved.writeServiceUuid || !saved.writeCharacteristicUuid) {
+            return null;
         }
 
         try {
-            // Check if characteristic supports write
-            const canWrite = this.characteristic.properties.write ||
-                           this.characteristic.properties.writeWithoutResponse;
+            const service = await server.getPrimaryService(saved.writeServiceUuid);
+            return await service.getCharacteristic(saved.writeCharacteristicUuid);
+        } catch (error) {
+            console.warn('⚠️ Saved write characteristic not found - detecting it again');
+            return null;
+        }
+    }
 
-            if (!canWrite) {
-                console.warn('⚠️ Characteristic does not support writing');
-                return false;
-            }
+    // Shared setup once a device is streaming data (any transport)
+    async onDeviceConnected(statusMessage) {
+        this.updateStatus(statusMessage);
+        document.getElementById('disconnectBtn').disabled = false;
+        document.getElementById('imuSection').style.display = 'block';
 
-            // Calculate volume as 0-100 with Arduino max volume scaling
-            const scaledVolume = this.currentVolume * this.arduinoMaxVolumeScale;
-            const volumePercent = Math.round(scaledVolume * 100);
+        // Ask the firmware what it supports (answer arrives as an INFO line)
+        this.resetCommandStats();
+        this.startHandshake();
+        this.startWatchdog();
+        this.loadMotionCalibration();
 
-            // Create data packet: "VOL:XX\n" format
-            const message = `VOL:${volumePercent}\n`;
-            const encoder = new TextEncoder();
-            const data = encoder.encode(message);
+        // Send initial volume level to Arduino
+        this.sendVolumeToArduino();
 
-            // Send to Arduino
-            if (this.characteristic.properties.writeWithoutResponse) {
-                await this.characteristic.writeValueWithoutResponse(data);
+        // Stop test playback if it's running
+        if (this.isTestPlaying) {
+            this.isTestPlaying = false;
+            this.updateTestPlaybackButton(false);
+
+            // Stop test playback audio
+            if (this.playbackMode === 'MP3') {
+                this.forcePause();
             } else {
-                await this.characteristic.writeValue(data);
+                this.stopMidiPlayback();
             }
 
-//            console.log(`📡 Sent volume to Arduino: ${volumePercent}%`);
-            return true;
-
-        } catch (error) {
-//            console.error('❌ Failed to send volume to Arduino:', error.message);
-            return false;
-        }
-    }
-
-    // Send a specific volume value to Arduino (for toggle on/off)
-    async sendSpecificVolumeToArduino(volumePercent) {
-        if (!this.characteristic) {
-            console.warn('⚠️ Cannot send volume: No characteristic connected');
-            return false;
+            console.log('Test playback stopped (IMU playback auto-started)');
         }
 
-        try {
-            // Check if characteristic supports write
-            const canWrite = this.characteristic.properties.write ||
-                           this.characteristic.properties.writeWithoutResponse;
+        if (this.isImuPlaying) {
+            // Reconnected mid-performance: audio resumes as soon as motion data arrives
+            console.log('▶️ IMU playback still active - waiting for data to resume');
+        } else if (this.startIMUPlaybackOnConnect) {
+            // Automatically start IMU playback after successful connection
+            console.log('🎵 Auto-starting IMU playback after device connection...');
+            this.isImuPlaying = true;
+            this.updateImuPlaybackButton(true);
 
-            if (!canWrite) {
-                console.warn('⚠️ Characteristic does not support writing');
-                return false;
-            }
+            // Start audio if track is loaded
+            if (this.audioElement.src) {
+                // Resume AudioContext if needed
+                if (this.audioContext.state === 'suspended') {
+                    console.log('🔊 Resuming AudioContext...');
+                    await this.audioContext.resume();
+                }
 
-            // Create data packet: "VOL:XX\n" format
-            const message = `VOL:${volumePercent}\n`;
-            const encoder = new TextEncoder();
-            const data = encoder.encode(message);
+                // Setup Web Audio API if needed
+                if (this.needsWebAudioVolume && !this.usingWebAudioVolume) {
+                    console.log('🔊 Setting up Web Audio API...');
+                    await this.setupWebAudioVolume();
+                }
 
-            // Send to Arduino
-            if (this.characteristic.properties.writeWithoutResponse) {
-                await this.characteristic.writeValueWithoutResponse(data);
+                // Start playback
+                this.audioElement.play().catch(e => console.log('Audio play error:', e));
+                console.log('✅ IMU playback auto-started!');
             } else {
-                await this.characteristic.writeValue(data);
+                console.log('ℹ️ IMU playback enabled, waiting for audio track to be loaded');
             }
-
-//            console.log(`📡 Sent volume to Arduino: ${volumePercent}% (Toggle)`);
-            return true;
-
-        } catch (error) {
-//            console.error('❌ Failed to send volume to Arduino:', error.message);
-            return false;
+        } else {
+            // Start idle mode animation by default after connection
+            console.log('🌙 Starting idle mode animation after device connection...');
+            setTimeout(() => {
+                this.startIdleMode();
+            }, 500);
         }
     }
-    
-    // Send IDLE command to Arduino
-    async sendIdleCommandToArduino() {
-        if (!this.characteristic) {
-            console.warn('⚠️ Cannot send IDLE: No characteristic connected');
-            return false;
+
+    // Whether a device is connected and able to receive commands (any transport)
+    isDeviceConnected() {
+        if (this.connectionType === 'virtual') {
+            return !!this.virtualDevice;
+        }
+        if (this.connectionType === 'phone') {
+            return !!this.phoneMotion;
+        }
+        if (this.connectionType === 'serial') {
+            return !!this.serialWriter;
         }
+        if (this.connectionType === 'websocket') {
+            return !!this.webSocket && this.webSocket.readyState === WebSocket.OPEN;
+        }
+        return !!this.characteristic;
+    }
 
-        try {
-            // Check if characteristic supports write
-            const canWrite = this.characteristic.properties.write ||
-                           this.characteristic.properties.writeWithoutResponse;
+    // Write a text command to the device over the active transport
+    // Only called by drainCommandQueue(); throws on transport errors
+    async writeToDevice(message) {
+        if (this.connectionType === 'virtual') {
+            this.handleVirtualDeviceCommand(message.trim());
+            return true;
+        }
 
-            if (!canWrite) {
-                console.warn('⚠️ Characteristic does not support writing');
-                return false;
+        // The phone has no LED or firmware: answer the handshake so no other commands are sent
+        if (this.connectionType === 'phone') {
+            if (message.startsWith('HELLO')) {
+                const rate = this.phoneMotion.interval ? `;rate=${Math.round(1000 / this.phoneMotion.interval)}` : '';
+                this.processData(`INFO:fw=phone;proto=${this.PROTOCOL_VERSION}${rate};cmds=;units=g,dps`);
             }
+            return true;
+        }
 
-            // Create data packet: "IDLE\n" format
-            const message = 'IDLE\n';
-            const encoder = new TextEncoder();
-            const data = encoder.encode(message);
+        // The relay forwards text messages to the sensor unchanged
+        if (this.connectionType === 'websocket') {
+            this.webSocket.send(message);
+            return true;
+        }
 
-            // Send to Arduino
-            if (this.characteristic.properties.writeWithoutResponse) {
-                await this.characteristic.writeValueWithoutResponse(data);
-            } else {
-                await this.characteristic.writeValue(data);
-            }
+        const encoder = new TextEncoder();
+        const data = encoder.encode(message);
 
-            console.log('📡 Sent IDLE command to Arduino');
+        if (this.connectionType === 'serial') {
+            await this.serialWriter.write(data);
             return true;
+        }
 
-        } catch (error) {
-            console.error('❌ Failed to send IDLE to Arduino:', error.message);
+        if (!this.writeCharacteristic) {
+            console.warn('⚠️ No writable characteristic for device commands');
             return false;
         }
+
+        if (this.writeCharacteristic.properties.writeWithoutResponse) {
+            await this.writeCharacteristic.writeValueWithoutResponse(data);
+        } else {
+            await this.writeCharacteristic.writeValue(data);
+        }
+        return true;
+    }
+
+    // ===== DEVICE COMMAND QUEUE =====
+
+    // Queue a text command for the device; resolves true once written,
+    // false if it was dropped (merged, disconnected) or the write failed
+    queueDeviceCommand(message) {
+        return new Promise(resolve => {
+            const command = { message, priority: this.getCommandPriority(message), resolve };
+
+            // Only the latest volume matters: replace a VOL that hasn't been written yet
+            if (message.startsWith('VOL:')) {
+                const pending = this.commandQueue.find(queued => queued.message.startsWith('VOL:'));
+                if (pending) {
+                    pending.resolve(false);
+                    this.commandStats.dropped++;
+                    pending.message = message;
+                    pending.resolve = resolve;
+                    return;
+                }
+            }
+
+            // Any VOL takes the device out of idle mode, so one still waiting would cancel the IDLE sent ahead of it
+            if (message.startsWith('IDLE')) {
+                this.commandQueue = this.commandQueue.filter(queued => {
+                    if (!queued.message.startsWith('VOL:')) {
+                        return true;
+                    }
+                    queued.resolve(false);
+                    this.commandStats.dropped++;
+                    return false;
+                });
+            }
+
+            if (this.commandQueue.length >= this.COMMAND_QUEUE_MAX) {
+                // Full: drop the lowest-priority command (the queue is kept sorted)
+                const lowest = this.commandQueue[this.commandQueue.length - 1];
+                if (lowest.priority > command.priority) {
+                    this.commandStats.dropped++;
+                    resolve(false);
+                    return;
+                }
+                this.commandQueue.pop();
+                this.commandStats.dropped++;
+                lowest.resolve(false);
+            }
+
+            // Insert after every command of equal or higher priority (FIFO within a priority)
+            const index = this.commandQueue.findIndex(queued => queued.priority < command.priority);
+            if (index === -1) {
+                this.commandQueue.push(command);
+            } else {
+                this.commandQueue.splice(index, 0, command);
+            }
+
+            this.drainCommandQueue();
+        });
+    }
+
+    // Mode commands (HELLO, IDLE, LED) go before volume updates
+    getCommandPriority(message) {
+        return message.startsWith('VOL:') ? 1 : 2;
+    }
+
+    // Write queued commands one at a time, at most one every COMMAND_MIN_INTERVAL_MS
+    async drainCommandQueue() {
+        if (this.isWritingCommand) {
+            return;
+        }
+        this.isWritingCommand = true;
+
+        while (this.commandQueue.length > 0) {
+            if (!this.isDeviceConnected()) {
+                this.clearCommandQueue();
+                break;
+            }
+
+            const wait = this.lastCommandWriteTime + this.COMMAND_MIN_INTERVAL_MS - Date.now();
+            if (wait > 0) {
+                // New commands can still be merged into the queue while we wait
+                await new Promise(resolve => setTimeout(resolve, wait));
+                continue;
+            }
+
+            const command = this.commandQueue.shift();
+            let sent = false;
+            try {
+                sent = await this.writeToDevice(command.message);
+            } catch (error) {
+                console.warn(`⚠️ Failed to write ${command.message.trim()} to device:`, error.message);
+            }
+            this.lastCommandWriteTime = Date.now();
+
+            if (sent) {
+                this.commandStats.sent++;
+            } else {
+                this.commandStats.failed++;
+            }
+            command.resolve(sent);
+        }
+
+        this.isWritingCommand = false;
+        this.updateCommandStatsDisplay();
+    }
+
+    // Drop everything still waiting (device gone)
+    clearCommandQueue() {
+        this.commandStats.dropped += this.commandQueue.length;
+        this.commandQueue.forEach(command => command.resolve(false));
+        this.commandQueue = [];
+    }
+
+    resetCommandStats() {
+        this.commandStats = { sent: 0, dropped: 0, failed: 0 };
+        this.updateCommandStatsDisplay();
+    }
+
+    updateCommandStatsDisplay() {
+        document.getElementById('commandsSent').textContent = this.commandStats.sent;
+        document.getElementById('commandsDropped').textContent = this.commandStats.dropped;
+        document.getElementById('commandsFailed').textContent = this.commandStats.failed;
+    }
+
+    // Send current volume level to Arduino (0-100)
+    async sendVolumeToArduino() {
+        if (!this.isDeviceConnected()) {
+            console.warn('⚠️ Cannot send volume: No device connected');
+            return false;
+        }
+
+        // Check if Arduino volume feedback is enabled
+        if (!this.arduinoVolumeFeedbackEnabled || !this.deviceSupports('VOL')) {
+            return false; // Silently skip if disabled or unsupported
+        }
+        
+        // Don't send actual volume if in idle mode
+        if (this.idleMode) {
+            return false; // Idle animation handles volume sending
+        }
+
+        // Calculate volume as 0-100 with Arduino max volume scaling
+        const scaledVolume = this.currentVolume * this.arduinoMaxVolumeScale;
+        const volumePercent = Math.round(scaledVolume * 100);
+
+        // Create data packet: "VOL:XX\n" format
+        return this.queueDeviceCommand(`VOL:${volumePercent}\n`);
+    }
+
+    // Send a specific volume value to Arduino (for toggle on/off)
+    async sendSpecificVolumeToArduino(volumePercent) {
+        if (!this.isDeviceConnected()) {
+            console.warn('⚠️ Cannot send volume: No device connected');
+            return false;
+        }
+
+        if (!this.deviceSupports('VOL')) {
+            return false;
+        }
+
+        // Create data packet: "VOL:XX\n" format
+        return this.queueDeviceCommand(`VOL:${volumePercent}\n`);
+    }
+    
+    // Send IDLE command to Arduino
+    async sendIdleCommandToArduino() {
+        if (!this.isDeviceConnected()) {
+            console.warn('⚠️ Cannot send IDLE: No device connected');
+            return false;
+        }
+
+        if (!this.deviceSupports('IDLE')) {
+            return false;
+        }
+
+        // Create data packet: "IDLE\n" format
+        const sent = await this.queueDeviceCommand('IDLE\n');
+        if (sent) {
+            console.log('📡 Sent IDLE command to Arduino');
+        }
+        return sent;
     }
     
     // Send LED control command to Arduino
     async sendLedCommandToArduino(enabled) {
-        if (!this.characteristic) {
-            console.warn('⚠️ Cannot send LED command: No characteristic connected');
+        if (!this.isDeviceConnected()) {
+            console.warn('⚠️ Cannot send LED command: No device connected');
             return false;
         }
 
-        try {
-            // Check if characteristic supports write
-            const canWrite = this.characteristic.properties.write ||
-                           this.characteristic.properties.writeWithoutResponse;
+        if (!this.deviceSupports('LED')) {
+            console.warn('⚠️ Device firmware does not support LED commands');
+            return false;
+        }
 
-            if (!canWrite) {
-                console.warn('⚠️ Characteristic does not support writing');
-                return false;
-            }
+        // Create data packet: "LED:ON\n" or "LED:OFF\n" format
+        const sent = await this.queueDeviceCommand(enabled ? 'LED:ON\n' : 'LED:OFF\n');
+        if (sent) {
+            console.log(`💡 Sent LED command to Arduino: ${enabled ? 'ON' : 'OFF'}`);
+        }
+        return sent;
+    }
 
-            // Create data packet: "LED:ON\n" or "LED:OFF\n" format
-            const message = enabled ? 'LED:ON\n' : 'LED:OFF\n';
-            const encoder = new TextEncoder();
-            const data = encoder.encode(message);
+    // ===== DEVICE HANDSHAKE =====
 
-            // Send to Arduino
-            if (this.characteristic.properties.writeWithoutResponse) {
-                await this.characteristic.writeValueWithoutResponse(data);
-            } else {
-                await this.characteristic.writeValue(data);
+    // Send HELLO and wait briefly for an INFO reply describing the firmware
+    async startHandshake() {
+        this.resetDeviceInfo();
+
+        this.handshakeTimeout = setTimeout(() => {
+            this.handshakeTimeout = null;
+            this.handshakeComplete = true;
+            console.log('ℹ️ No INFO reply to HELLO - assuming legacy firmware (VOL, IDLE, LED)');
+            this.applyDeviceCapabilities();
+            this.updateLowBatteryLed();
+        }, this.HANDSHAKE_TIMEOUT_MS);
+
+        if (await this.queueDeviceCommand(`HELLO:${this.PROTOCOL_VERSION}\n`)) {
+            console.log(`🤝 Sent HELLO (protocol v${this.PROTOCOL_VERSION})`);
+        }
+    }
+
+    resetDeviceInfo() {
+        if (this.handshakeTimeout) {
+            clearTimeout(this.handshakeTimeout);
+            this.handshakeTimeout = null;
+        }
+        this.deviceInfo = null;
+        this.handshakeComplete = false;
+        document.getElementById('deviceInfo').style.display = 'none';
+
+        // Show the command controls again until the next device's INFO says otherwise
+        ['arduinoVolumeFeedbackControl', 'arduinoMaxVolumeControl', 'arduinoLedControl', 'lowBatteryLedControl'].forEach(id => {
+            document.getElementById(id).style.display = 'block';
+        });
+    }
+
+    // Text lines from the device that aren't IMU data, e.g. "INFO:fw=1.2.0;rate=100"
+    handleDeviceMessage(line) {
+        const separator = line.indexOf(':');
+        const type = line.substring(0, separator);
+        const payload = line.substring(separator + 1);
+
+        switch (type) {
+            case 'INFO':
+                this.handleInfoMessage(payload);
+                break;
+            case 'BAT':
+                this.handleBatteryMessage(payload);
+                break;
+            default:
+                console.log(`📨 Device message: ${line}`);
+                break;
+        }
+    }
+
+    handleInfoMessage(payload) {
+        if (this.handshakeTimeout) {
+            clearTimeout(this.handshakeTimeout);
+            this.handshakeTimeout = null;
+        }
+
+        this.deviceInfo = this.parseInfoMessage(payload);
+        this.handshakeComplete = true;
+        const info = this.deviceInfo;
+        console.log(`🤝 Device info: firmware ${info.firmware}, protocol v${info.protocol}, ` +
+            `${info.sampleRate ? info.sampleRate + ' Hz' : 'unknown rate'}, commands [${info.commands.join(', ')}]`);
+
+        if (info.protocol > this.PROTOCOL_VERSION) {
+            console.warn(`⚠️ Device speaks protocol v${info.protocol}, app supports v${this.PROTOCOL_VERSION} - some features may be unavailable`);
+        }
+
+        this.applyDeviceCapabilities();
+        this.updateLowBatteryLed(); // A low reading may have arrived before the firmware was known
+    }
+
+    // Parse "fw=1.2.0;proto=1;rate=100;cmds=VOL,IDLE,LED;units=g,dps"
+    parseInfoMessage(payload) {
+        const fields = {};
+        payload.split(';').forEach(pair => {
+            const [key, value] = pair.split('=');
+            if (key && value !== undefined) {
+                fields[key.trim().toLowerCase()] = value.trim();
             }
+        });
 
-            console.log(`💡 Sent LED command to Arduino: ${enabled ? 'ON' : 'OFF'}`);
-            return true;
+        const [accelUnit, gyroUnit] = (fields.units || 'g,dps').split(',').map(u => u.trim().toLowerCase());
 
-        } catch (error) {
-            console.error('❌ Failed to send LED command to Arduino:', error.message);
+        return {
+            firmware: fields.fw || 'unknown',
+            protocol: parseInt(fields.proto) || 1,
+            sampleRate: parseFloat(fields.rate) || null,
+            commands: fields.cmds ? fields.cmds.split(',').map(c => c.trim().toUpperCase()).filter(c => c) : [],
+            units: { accel: accelUnit || 'g', gyro: gyroUnit || 'dps' }
+        };
+    }
+
+    // Whether the connected firmware understands a command (VOL, IDLE, LED, ...)
+    deviceSupports(command) {
+        // BLE devices without a writable characteristic can't receive anything
+        if (this.connectionType === 'ble' && !this.writeCharacteristic) {
             return false;
         }
+        if (!this.deviceInfo) {
+            return this.LEGACY_DEVICE_COMMANDS.includes(command);
+        }
+        return this.deviceInfo.commands.includes(command);
+    }
+
+    // Show firmware info and only enable features the device supports
+    applyDeviceCapabilities() {
+        const supportsVolume = this.deviceSupports('VOL');
+        const supportsLed = this.deviceSupports('LED');
+
+        document.getElementById('arduinoVolumeFeedbackControl').style.display = supportsVolume ? 'block' : 'none';
+        document.getElementById('arduinoMaxVolumeControl').style.display = supportsVolume ? 'block' : 'none';
+        document.getElementById('arduinoLedControl').style.display = supportsLed ? 'block' : 'none';
+        document.getElementById('lowBatteryLedControl').style.display = supportsLed ? 'block' : 'none';
+
+        const infoElement = document.getElementById('deviceInfo');
+        if (!this.deviceInfo) {
+            infoElement.style.display = 'none';
+            return;
+        }
+
+        const info = this.deviceInfo;
+        document.getElementById('deviceFirmware').textContent = `${info.firmware} (protocol v${info.protocol})`;
+        document.getElementById('deviceSampleRate').textContent = info.sampleRate ? `${info.sampleRate} Hz` : '-';
+        document.getElementById('deviceCommands').textContent = info.commands.length > 0 ? info.commands.join(', ') : 'none';
+        document.getElementById('deviceUnits').textContent = `${info.units.accel}, ${info.units.gyro}`;
+        infoElement.style.display = 'block';
     }
 
     // Start idle mode with transition
@@ -1685,122 +2681,3321 @@ class ViolinPlayer {
             // Disabled: Send 100% volume
             console.log('❌ Arduino volume feedback disabled');
 
-            // Send 0% to Arduino
-            await this.sendSpecificVolumeToArduino(100);
+            // Send 0% to Arduino
+            await this.sendSpecificVolumeToArduino(100);
+        }
+    }
+
+    async attemptAutoReconnect() {
+        if (!this.savedConnection || this.device || this.isConnecting || this.isReconnecting || this.isDeviceConnected()) {
+            return;
+        }
+
+        // USB serial connections are restored from previously granted ports
+        if (this.savedConnection.type === 'serial') {
+            await this.attemptSerialAutoReconnect();
+            return;
+        }
+
+        if (this.savedConnection.type === 'websocket') {
+            await this.attemptWebSocketAutoReconnect();
+            return;
+        }
+
+        try {
+            this.isConnecting = true;
+            this.updateStatus('Auto-reconnecting...');
+
+            // Request the same device
+            const devices = await navigator.bluetooth.getDevices();
+            const savedDevice = devices.find(d => d.id === this.savedConnection.deviceId);
+
+            if (!savedDevice) {
+                console.log('Saved device not found');
+                this.isConnecting = false;
+                return;
+            }
+
+            this.device = savedDevice;
+
+            // Add disconnect listener only once
+            if (!this.disconnectListenerAdded) {
+                this.device.addEventListener('gattserverdisconnected', this.handleDisconnect.bind(this));
+                this.disconnectListenerAdded = true;
+                console.log('Disconnect listener added during auto-reconnect');
+            }
+
+            console.log('Connecting to saved device...');
+            this.server = await this.device.gatt.connect();
+
+            // Verify connection is established
+            if (!this.server || !this.server.connected) {
+                throw new Error('Failed to establish GATT connection during auto-reconnect');
+            }
+
+            console.log('Auto-reconnect: GATT server connected');
+
+            // Add longer delay to ensure connection is stable
+            await new Promise(resolve => setTimeout(resolve, 300));
+
+            // Verify still connected after delay
+            if (!this.server.connected) {
+                throw new Error('Connection lost during auto-reconnect initialization');
+            }
+
+            // Find the saved service and characteristic
+            const services = await this.server.getPrimaryServices();
+            console.log(`Auto-reconnect: Found ${services.length} services`);
+
+            for (const service of services) {
+                if (service.uuid === this.savedConnection.serviceUuid) {
+                    const characteristics = await service.getCharacteristics();
+                    for (const char of characteristics) {
+                        if (char.uuid === this.savedConnection.characteristicUuid) {
+                            const writeCharacteristic = await this.restoreWriteCharacteristic(this.server);
+                            await this.selectCharacteristic(char, service.uuid, writeCharacteristic);
+                            this.updateStatus('Auto-reconnected!');
+                            this.isConnecting = false;
+                            return;
+                        }
+                    }
+                }
+            }
+
+            throw new Error('Saved characteristic not found');
+
+        } catch (error) {
+            console.log('Auto-reconnect failed:', error);
+            this.updateStatus('Disconnected');
+            this.disconnectListenerAdded = false;
+            this.isConnecting = false;
+        }
+    }
+
+    disconnect() {
+        console.log('Disconnect called');
+
+        // A manual disconnect also abandons any background reconnect
+        this.stopReconnect();
+
+        try {
+            if (this.device && this.device.gatt && this.device.gatt.connected) {
+                console.log('Disconnecting GATT...');
+                this.device.gatt.disconnect();
+            }
+        } catch (error) {
+            console.error('Error during disconnect:', error);
+        }
+
+        if (this.serialPort) {
+            this.closeSerialPort();
+        }
+
+        if (this.webSocket) {
+            this.closeWebSocket();
+        }
+
+        if (this.virtualDevice) {
+            this.stopVirtualDevice();
+        }
+
+        if (this.phoneMotion) {
+            this.stopPhoneMotion();
+        }
+
+        // Reset all connection state
+        this.device = null;
+        this.server = null;
+        this.characteristic = null;
+        this.writeCharacteristic = null;
+        this.connectionType = null;
+        this.isConnecting = false;
+        this.disconnectListenerAdded = false;
+
+        this.updateStatus('Disconnected');
+        this.onDeviceDisconnected();
+    }
+
+    // ===== RECONNECT =====
+
+    // Keep the performance alive through a dropout: hold the audio and retry in the background
+    startReconnect(type, device = null) {
+        this.isReconnecting = true;
+        this.reconnectType = type;
+        this.reconnectDevice = device;
+        this.reconnectAttempt = 0;
+        this.awaitingDataAfterReconnect = false;
+
+        this.stopWatchdog();
+        this.stopBatteryMonitoring();
+        this.clearCommandQueue();
+        this.resetDeviceInfo();
+        delete this.deviceStates[this.primaryRole];
+        document.getElementById('imuSection').classList.add('reconnecting');
+        document.getElementById('reconnectBanner').style.display = 'block';
+
+        this.holdPlayback();
+
+        console.log(`🔄 Connection lost (${type}) - reconnecting in the background...`);
+        this.scheduleReconnect(this.RECONNECT_BASE_DELAY_MS);
+    }
+
+    // Silence the audio but keep its position and the IMU playback state
+    holdPlayback() {
+        if (this.isTestPlaying) {
+            console.log('Test playback active - keeping audio playing');
+            return;
+        }
+
+        if (this.playbackMode === 'MIDI') {
+            if (this.isPlayingMidiSequence) {
+                this.stopContinuousMidiPlayback();
+            }
+        } else if (this.audioElement && !this.audioElement.paused) {
+            this.forcePause();
+        }
+
+        // Start from silence so playback fades back in once data returns
+        this.isFading = false;
+        this.volumeHistory = [];
+        this.smoothedVolume = 0;
+        this.resetMotionFilters();
+        this.setAudioVolume(0);
+
+        console.log(`⏸️ Audio held at ${this.audioElement ? this.audioElement.currentTime.toFixed(1) : 0}s while reconnecting`);
+    }
+
+    scheduleReconnect(delay) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delay);
+    }
+
+    // Exponential backoff with +/-20% jitter, capped at RECONNECT_MAX_DELAY_MS
+    getReconnectDelay(attempt) {
+        const delay = Math.min(this.RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt), this.RECONNECT_MAX_DELAY_MS);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async attemptReconnect() {
+        this.reconnectTimer = null;
+        if (!this.isReconnecting || this.isConnecting) {
+            return;
+        }
+
+        this.reconnectAttempt++;
+        const attempt = this.reconnectAttempt;
+        this.updateReconnectStatus(`Reconnecting (attempt ${attempt}/${this.RECONNECT_MAX_ATTEMPTS})...`);
+
+        try {
+            this.isConnecting = true;
+            await this.reconnectOnce();
+
+            // The user disconnected while the attempt was running: close what it just opened
+            if (!this.isReconnecting) {
+                console.log('🔌 Reconnect finished after a manual disconnect - closing the restored connection');
+                this.disconnect();
+                return;
+            }
+
+            console.log(`✅ Reconnected after ${attempt} attempt(s)`);
+            this.finishReconnect();
+            this.updateStatus('Reconnected!');
+
+        } catch (error) {
+            console.log(`Reconnect attempt ${attempt} failed:`, error.message || error);
+
+            if (!this.isReconnecting) {
+                return;
+            }
+
+            if (attempt >= this.RECONNECT_MAX_ATTEMPTS) {
+                this.giveUpReconnect();
+                return;
+            }
+
+            const delay = this.getReconnectDelay(attempt);
+            this.updateReconnectStatus(`Reconnecting (attempt ${attempt + 1}/${this.RECONNECT_MAX_ATTEMPTS} in ${(delay / 1000).toFixed(1)}s)...`);
+            this.scheduleReconnect(delay);
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    // One reconnect attempt on the dropped transport, throws on failure
+    async reconnectOnce() {
+        if (this.reconnectType === 'serial') {
+            const ports = await navigator.serial.getPorts();
+            const savedPort = ports.find(port => {
+                const info = port.getInfo();
+                return info.usbVendorId === this.savedConnection.usbVendorId &&
+                       info.usbProductId === this.savedConnection.usbProductId;
+            });
+
+            if (!savedPort) {
+                throw new Error('Serial port not available');
+            }
+
+            await this.openSerialPort(savedPort);
+            return;
+        }
+
+        if (this.reconnectType === 'websocket') {
+            await this.openWebSocket(this.savedConnection.url);
+            return;
+        }
+
+        const device = this.reconnectDevice;
+        const server = await device.gatt.connect();
+
+        if (!server || !server.connected) {
+            throw new Error('GATT connection not established');
+        }
+
+        // Re-resolve the characteristic the user was streaming from
+        const service = await server.getPrimaryService(this.savedConnection.serviceUuid);
+        const characteristic = await service.getCharacteristic(this.savedConnection.characteristicUuid);
+
+        // The original gattserverdisconnected listener is still attached to this device
+        this.device = device;
+        this.server = server;
+        this.disconnectListenerAdded = true;
+
+        // selectCharacteristic() reports its own errors, so check it finished
+        const writeCharacteristic = await this.restoreWriteCharacteristic(server);
+        await this.selectCharacteristic(characteristic, service.uuid, writeCharacteristic);
+        if (this.connectionType !== 'ble') {
+            this.device = null;
+            this.server = null;
+            this.characteristic = null;
+            this.writeCharacteristic = null;
+            throw new Error('Could not resubscribe to the IMU characteristic');
+        }
+    }
+
+    finishReconnect() {
+        this.isReconnecting = false;
+        this.reconnectType = null;
+        this.reconnectDevice = null;
+        this.awaitingDataAfterReconnect = this.isImuPlaying;
+
+        document.getElementById('imuSection').classList.remove('reconnecting');
+        document.getElementById('reconnectBanner').style.display = 'none';
+    }
+
+    giveUpReconnect() {
+        console.warn(`❌ Could not reconnect after ${this.RECONNECT_MAX_ATTEMPTS} attempts`);
+        this.stopReconnect();
+
+        this.updateStatus('Device disconnected');
+        this.onDeviceDisconnected();
+    }
+
+    // Cancel any pending background reconnect
+    stopReconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.isReconnecting && this.reconnectDevice && this.reconnectDevice.gatt.connected) {
+            this.reconnectDevice.gatt.disconnect();
+        }
+
+        this.finishReconnect();
+        this.awaitingDataAfterReconnect = false;
+    }
+
+    updateReconnectStatus(message) {
+        this.updateStatus(message);
+        document.getElementById('reconnectBanner').textContent = `⚠️ Connection lost - ${message.charAt(0).toLowerCase()}${message.slice(1)}`;
+    }
+
+    // ===== DATA WATCHDOG =====
+
+    startWatchdog() {
+        this.stopWatchdog();
+        this.lastDataTime = Date.now();
+        this.watchdogStartTime = this.lastDataTime;
+        this.sampleTimes = [];
+        this.isDataStalled = false;
+
+        document.getElementById('linkQualityRow').style.display = 'flex';
+        this.watchdogInterval = setInterval(() => this.checkDataStall(), this.WATCHDOG_INTERVAL_MS);
+    }
+
+    stopWatchdog() {
+        clearInterval(this.watchdogInterval);
+        this.watchdogInterval = null;
+        this.isDataStalled = false;
+        document.getElementById('linkQualityRow').style.display = 'none';
+    }
+
+    // Called for every sample from the main device (link quality)
+    noteDataReceived() {
+        // Air bow samples arrive without a device (and without the watchdog)
+        if (!this.watchdogInterval) {
+            return;
+        }
+
+        const now = Date.now();
+        this.lastDataTime = now;
+        this.sampleTimes.push(now);
+    }
+
+    // Last sample from the device driving audio: the main device, or an extra sensor in the bow role
+    getLastDrivingDataTime() {
+        const role = this.getDrivingRole();
+        if (role === this.primaryRole) {
+            return this.lastDataTime;
+        }
+        const state = this.deviceStates[role];
+        return state ? Math.max(state.lastUpdate, this.watchdogStartTime) : this.watchdogStartTime;
+    }
+
+    // Audio fades on a stall of the driving device only; a silent body or left-hand sensor doesn't stop it
+    checkDataStall() {
+        const now = Date.now();
+        const silentFor = now - this.getLastDrivingDataTime();
+
+        // Keep only the arrival times inside the link-quality window
+        while (this.sampleTimes.length > 0 && now - this.sampleTimes[0] > this.LINK_QUALITY_WINDOW_MS) {
+            this.sampleTimes.shift();
+        }
+
+        if (silentFor > this.dataStallTimeout) {
+            if (!this.isDataStalled) {
+                this.isDataStalled = true;
+                console.warn(`⚠️ No IMU data for ${silentFor}ms - fading out audio`);
+
+                // Forget the last motion so playback doesn't jump back in at full level
+                this.resetMotionFilters();
+            }
+            this.fadeOutStalledAudio();
+        } else if (this.isDataStalled) {
+            this.isDataStalled = false;
+            console.log('✅ IMU data flowing again');
+        }
+
+        this.updateLinkQualityDisplay(now);
+    }
+
+    // Same fade-out path as a bow coming to rest, driven by the watchdog instead of samples
+    fadeOutStalledAudio() {
+        if (!this.isImuPlaying || this.isTestPlaying) {
+            return;
+        }
+
+        if (this.playbackMode === 'MIDI') {
+            if (this.isPlayingMidiSequence) {
+                this.stopContinuousMidiPlayback();
+            }
+            return;
+        }
+
+        if (this.audioElement.paused) {
+            return;
+        }
+
+        this.smoothSetAudioVolume(0);
+        if (this.smoothedVolume < 0.01) {
+            this.forcePause();
+            this.setAudioVolume(0, true);
+            console.log('🔇 Audio paused (no IMU data)');
+        }
+    }
+
+    // Sample rate and largest gap over the last LINK_QUALITY_WINDOW_MS
+    getLinkQuality(now) {
+        const times = this.sampleTimes;
+        let maxGap = times.length > 0 ? now - times[times.length - 1] : now - this.lastDataTime;
+        for (let i = 1; i < times.length; i++) {
+            maxGap = Math.max(maxGap, times[i] - times[i - 1]);
+        }
+
+        // Measured over the samples actually seen, so it's right before the window fills
+        const span = times.length > 1 ? times[times.length - 1] - times[0] : 0;
+        const rate = span > 0 ? (times.length - 1) / (span / 1000) : 0;
+        const expectedRate = this.deviceInfo ? this.deviceInfo.sampleRate : null;
+
+        let level;
+        if (this.isDataStalled) {
+            level = 'none';
+        } else if (maxGap > this.dataStallTimeout / 2) {
+            level = 'poor';
+        } else if (expectedRate && rate < expectedRate * 0.8) {
+            level = 'fair';
+        } else {
+            level = 'good';
+        }
+
+        return { rate, maxGap, level };
+    }
+
+    updateLinkQualityDisplay(now) {
+        const { rate, maxGap, level } = this.getLinkQuality(now);
+        const labels = { good: 'Good', fair: 'Fair', poor: 'Poor', none: 'No data' };
+
+        const qualityElement = document.getElementById('linkQuality');
+        qualityElement.textContent = labels[level];
+        qualityElement.className = `stream-value link-quality ${level}`;
+
+        document.getElementById('linkSampleRate').textContent = `${rate.toFixed(0)} Hz`;
+        document.getElementById('linkMaxGap').textContent = `${maxGap} ms`;
+        document.getElementById('imuSection').classList.toggle('stalled', this.isDataStalled);
+    }
+
+    // ===== BATTERY =====
+
+    // Subscribe to the standard Battery Level characteristic if the device has one
+    async startBatteryMonitoring(server) {
+        try {
+            const service = await server.getPrimaryService('battery_service');
+            const characteristic = await service.getCharacteristic('battery_level');
+            this.batteryCharacteristic = characteristic;
+
+            const value = await characteristic.readValue();
+            this.updateBatteryLevel(value.getUint8(0));
+
+            if (characteristic.properties.notify) {
+                this.batteryListener = (event) => this.updateBatteryLevel(event.target.value.getUint8(0));
+                characteristic.addEventListener('characteristicvaluechanged', this.batteryListener);
+                await characteristic.startNotifications();
+            } else {
+                this.batteryPollInterval = setInterval(() => this.readBatteryLevel(), this.BATTERY_POLL_INTERVAL_MS);
+            }
+
+            console.log(`🔋 Battery Service found (${characteristic.properties.notify ? 'notifications' : 'polling'})`);
+        } catch (error) {
+            // Firmware without the service can still report BAT: lines
+            console.log('No Battery Service on this device');
+        }
+    }
+
+    async readBatteryLevel() {
+        if (!this.batteryCharacteristic) {
+            return;
+        }
+
+        try {
+            const value = await this.batteryCharacteristic.readValue();
+            this.updateBatteryLevel(value.getUint8(0));
+        } catch (error) {
+            console.warn('⚠️ Failed to read battery level:', error.message);
+        }
+    }
+
+    stopBatteryMonitoring() {
+        clearInterval(this.batteryPollInterval);
+        this.batteryPollInterval = null;
+
+        if (this.batteryCharacteristic && this.batteryListener) {
+            this.batteryCharacteristic.removeEventListener('characteristicvaluechanged', this.batteryListener);
+        }
+        this.batteryCharacteristic = null;
+        this.batteryListener = null;
+
+        this.batteryLevel = null;
+        this.lowBatteryWarned = false;
+        this.lowBatteryLedSent = false;
+        document.getElementById('batteryStatus').style.display = 'none';
+    }
+
+    // "BAT:<percent>" from firmware without the Battery Service
+    handleBatteryMessage(payload) {
+        const level = parseInt(payload);
+        if (isNaN(level)) {
+            console.warn(`⚠️ Invalid battery message: BAT:${payload}`);
+            return;
+        }
+        this.updateBatteryLevel(level);
+    }
+
+    updateBatteryLevel(level) {
+        this.batteryLevel = Math.max(0, Math.min(100, level));
+        const isLow = this.batteryLevel <= this.LOW_BATTERY_THRESHOLD;
+
+        const batteryElement = document.getElementById('batteryStatus');
+        batteryElement.textContent = `${isLow ? '🪫' : '🔋'} ${this.batteryLevel}%${isLow ? ' (low)' : ''}`;
+        batteryElement.classList.toggle('low', isLow);
+        batteryElement.style.display = 'inline-block';
+
+        if (isLow && !this.lowBatteryWarned) {
+            this.lowBatteryWarned = true;
+            console.warn(`🪫 Device battery low: ${this.batteryLevel}% - charge it before the next piece`);
+        } else if (!isLow && this.batteryLevel > this.LOW_BATTERY_THRESHOLD + this.BATTERY_HYSTERESIS) {
+            // Charged again (or a fresh battery), warn again next time
+            this.lowBatteryWarned = false;
+            this.lowBatteryLedSent = false;
+        }
+        this.updateLowBatteryLed();
+    }
+
+    // Send the LED pattern once per low-battery spell, and only once the handshake says what the firmware supports
+    async updateLowBatteryLed() {
+        const isLow = this.batteryLevel !== null && this.batteryLevel <= this.LOW_BATTERY_THRESHOLD;
+        if (!isLow || this.lowBatteryLedSent || !this.handshakeComplete ||
+            !this.lowBatteryLedEnabled || !this.arduinoLedEnabled) {
+            return;
+        }
+
+        this.lowBatteryLedSent = true;
+        if (!await this.sendLowBatteryLedCommand()) {
+            this.lowBatteryLedSent = false; // Not supported or not sent; tried again with the next reading
+        }
+    }
+
+    // Ask the firmware to show its low-battery LED pattern
+    async sendLowBatteryLedCommand() {
+        if (!this.isDeviceConnected() || !this.deviceSupports('LED')) {
+            return false;
+        }
+
+        const sent = await this.queueDeviceCommand('LED:LOWBAT\n');
+        if (sent) {
+            console.log('💡 Sent low battery LED pattern to Arduino');
+        }
+        return sent;
+    }
+
+    // ===== USB SERIAL CONNECTION =====
+
+    async connectSerial() {
+        // Prevent multiple connection attempts
+        if (this.isConnecting) {
+            console.log('Connection already in progress');
+            return;
+        }
+
+        if (!('serial' in navigator)) {
+            alert('Web Serial API is not supported in this browser. Please use Chrome or Edge.');
+            return;
+        }
+
+        try {
+            this.isConnecting = true;
+            this.updateStatus('Connecting...');
+
+            // Ask the user to pick a USB serial port
+            const port = await navigator.serial.requestPort();
+            await this.openSerialPort(port);
+
+        } catch (error) {
+            console.error('Serial connection error:', error);
+            this.updateStatus('Connection failed: ' + error.message);
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    async openSerialPort(port) {
+        await port.open({ baudRate: this.SERIAL_BAUD_RATE });
+
+        const info = port.getInfo();
+        console.log(`Serial port opened (USB ${this.formatUsbId(info.usbVendorId)}:${this.formatUsbId(info.usbProductId)}, ${this.SERIAL_BAUD_RATE} baud)`);
+
+        this.serialPort = port;
+        this.serialWriter = port.writable.getWriter();
+        this.resetStreamState();
+        this.connectionType = 'serial';
+
+        // Save connection info
+        this.saveSerialConnection(info.usbVendorId, info.usbProductId);
+
+        // Read lines in the background, same format as BLE notifications
+        this.serialReadLoop = this.readSerialLoop(port);
+
+        await this.onDeviceConnected('Connected via USB Serial!');
+    }
+
+    async readSerialLoop(port) {
+        this.serialKeepReading = true;
+
+        // Serial is a byte stream without packet boundaries, so only CSV text lines are supported
+        const decoder = new TextDecoder();
+
+        while (port.readable && this.serialKeepReading) {
+            this.serialReader = port.readable.getReader();
+            try {
+                while (true) {
+                    const { value, done } = await this.serialReader.read();
+                    if (done) {
+                        break; // Reader was cancelled
+                    }
+                    if (value) {
+                        this.handleTextData(decoder.decode(value, { stream: true }));
+                    }
+                }
+            } catch (error) {
+                // Fatal errors (e.g. cable unplugged) leave port.readable null
+                console.error('Serial read error:', error.message);
+            } finally {
+                this.serialReader.releaseLock();
+                this.serialReader = null;
+            }
+        }
+
+        // Loop ended without disconnect() being called - the device went away
+        if (this.serialKeepReading && this.serialPort === port) {
+            this.handleSerialDisconnect();
+        }
+    }
+
+    async closeSerialPort() {
+        const port = this.serialPort;
+        this.serialKeepReading = false;
+        this.serialPort = null;
+
+        try {
+            if (this.serialReader) {
+                await this.serialReader.cancel();
+            }
+            if (this.serialReadLoop) {
+                await this.serialReadLoop;
+            }
+            if (this.serialWriter) {
+                this.serialWriter.releaseLock();
+            }
+            if (port) {
+                await port.close();
+            }
+            console.log('Serial port closed');
+        } catch (error) {
+            console.warn('Error closing serial port:', error.message);
+        }
+
+        this.serialWriter = null;
+        this.serialReadLoop = null;
+    }
+
+    handleSerialDisconnect() {
+        console.log('Serial device disconnected - handleSerialDisconnect called');
+
+        // Don't clean up twice (read loop end and 'disconnect' event can both fire)
+        if (!this.serialPort) {
+            return;
+        }
+
+        this.closeSerialPort();
+        this.connectionType = null;
+
+        this.startReconnect('serial');
+    }
+
+    async attemptSerialAutoReconnect() {
+        if (!('serial' in navigator)) {
+            return;
+        }
+
+        try {
+            this.isConnecting = true;
+            this.updateStatus('Auto-reconnecting...');
+
+            // Only ports the user granted before are returned, no prompt needed
+            const ports = await navigator.serial.getPorts();
+            const savedPort = ports.find(port => {
+                const info = port.getInfo();
+                return info.usbVendorId === this.savedConnection.usbVendorId &&
+                       info.usbProductId === this.savedConnection.usbProductId;
+            });
+
+            if (!savedPort) {
+                console.log('Saved serial port not found');
+                this.updateStatus('Disconnected');
+                return;
+            }
+
+            console.log('Connecting to saved serial port...');
+            await this.openSerialPort(savedPort);
+            this.updateStatus('Auto-reconnected!');
+
+        } catch (error) {
+            console.log('Serial auto-reconnect failed:', error);
+            this.updateStatus('Disconnected');
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    // ===== WEBSOCKET CONNECTION =====
+
+    async connectWebSocket() {
+        // Prevent multiple connection attempts
+        if (this.isConnecting) {
+            console.log('Connection already in progress');
+            return;
+        }
+
+        const urlInput = document.getElementById('webSocketUrlInput');
+        const url = urlInput.value.trim() || this.DEFAULT_WEBSOCKET_URL;
+
+        try {
+            this.isConnecting = true;
+            this.updateStatus('Connecting...');
+
+            await this.openWebSocket(url);
+
+        } catch (error) {
+            console.error('WebSocket connection error:', error);
+            this.updateStatus('Connection failed: ' + error.message);
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    // Resolves once the socket is open and the device is set up
+    openWebSocket(url) {
+        return new Promise((resolve, reject) => {
+            let socket;
+            try {
+                socket = new WebSocket(url);
+            } catch (error) {
+                reject(error); // Malformed URL
+                return;
+            }
+            socket.binaryType = 'arraybuffer';
+
+            socket.addEventListener('open', async () => {
+                // Settle the promise either way, so the caller can clear isConnecting like with serial
+                try {
+                    console.log(`WebSocket connected: ${url}`);
+                    this.webSocket = socket;
+                    this.resetStreamState();
+                    this.connectionType = 'websocket';
+
+                    // Save connection info
+                    this.saveWebSocketConnection(url);
+
+                    await this.onDeviceConnected('Connected via WebSocket!');
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                }
+            }, { once: true });
+
+            socket.addEventListener('error', () => {
+                // Browsers don't expose error details for WebSockets
+                reject(new Error(`Could not connect to ${url}`));
+            }, { once: true });
+
+            socket.addEventListener('message', (event) => this.handleWebSocketMessage(event));
+
+            socket.addEventListener('close', () => {
+                if (this.webSocket === socket) {
+                    this.handleWebSocketDisconnect();
+                }
+            });
+        });
+    }
+
+    handleWebSocketMessage(event) {
+        if (typeof event.data === 'string') {
+            // Each text message carries one or more complete lines
+            const text = event.data.endsWith('\n') ? event.data : event.data + '\n';
+            this.handleTextData(text);
+        } else {
+            this.handleBleData(new DataView(event.data));
+        }
+    }
+
+    closeWebSocket() {
+        const socket = this.webSocket;
+        this.webSocket = null; // Clear first so the close handler ignores it
+
+        try {
+            if (socket && socket.readyState <= WebSocket.OPEN) {
+                socket.close();
+            }
+            console.log('WebSocket closed');
+        } catch (error) {
+            console.warn('Error closing WebSocket:', error.message);
+        }
+    }
+
+    handleWebSocketDisconnect() {
+        console.log('WebSocket disconnected - handleWebSocketDisconnect called');
+
+        this.webSocket = null;
+        this.connectionType = null;
+
+        this.startReconnect('websocket');
+    }
+
+    async attemptWebSocketAutoReconnect() {
+        try {
+            this.isConnecting = true;
+            this.updateStatus('Auto-reconnecting...');
+
+            document.getElementById('webSocketUrlInput').value = this.savedConnection.url;
+            console.log(`Connecting to saved WebSocket relay: ${this.savedConnection.url}`);
+            await this.openWebSocket(this.savedConnection.url);
+            this.updateStatus('Auto-reconnected!');
+
+        } catch (error) {
+            console.log('WebSocket auto-reconnect failed:', error);
+            this.updateStatus('Disconnected');
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    // ===== VIRTUAL DEVICE =====
+
+    // Simulated IMU that streams through the normal data pipeline, no hardware needed
+    async connectVirtualDevice() {
+        if (this.isConnecting) {
+            console.log('Connection already in progress');
+            return;
+        }
+
+        // Only one main device at a time
+        if (this.isDeviceConnected() || this.isReconnecting) {
+            this.disconnect();
+        }
+
+        console.log(`🤖 Starting virtual device (${this.virtualPattern}, ${Math.round(this.virtualBowSpeed * 100)}% speed)`);
+
+        this.virtualDevice = { interval: null, startTime: Date.now(), volume: null, idle: false, led: 'ON' };
+        this.setImuMapping(this.DEFAULT_IMU_MAPPING);
+        this.resetStreamState();
+        this.connectionType = 'virtual';
+
+        this.virtualDevice.interval = setInterval(() => {
+            const t = (Date.now() - this.virtualDevice.startTime) / 1000;
+            this.processData(this.generateVirtualSample(t));
+        }, this.VIRTUAL_SAMPLE_INTERVAL_MS);
+
+        this.updateVirtualDeviceDisplay();
+        await this.onDeviceConnected('Connected to Virtual Device!');
+    }
+
+    stopVirtualDevice() {
+        clearInterval(this.virtualDevice.interval);
+        this.virtualDevice = null;
+        document.getElementById('virtualDeviceState').textContent = 'Stopped';
+        console.log('🤖 Virtual device stopped');
+    }
+
+    // One "ax,ay,az,gx,gy,gz" line for the selected pattern
+    generateVirtualSample(t) {
+        const noise = (scale) => (Math.random() - 0.5) * scale;
+        let envelope = 0;
+        let direction = 1;
+
+        if (this.virtualPattern === 'bowing') {
+            // Alternating 2s strokes, silent near each bow change
+            const strokeSeconds = 2.0;
+            const phase = (t % strokeSeconds) / strokeSeconds;
+            direction = Math.floor(t / strokeSeconds) % 2 === 0 ? 1 : -1;
+            envelope = phase < 0.1 || phase > 0.9 ? 0 : Math.sin((phase - 0.1) / 0.8 * Math.PI);
+        } else if (this.virtualPattern === 'bursts') {
+            // Short 0.5s strokes separated by 1s rests
+            const cycleSeconds = 1.5;
+            const burstSeconds = 0.5;
+            const phase = (t % cycleSeconds) / burstSeconds;
+            direction = Math.floor(t / cycleSeconds) % 2 === 0 ? 1 : -1;
+            envelope = phase < 1 ? Math.sin(phase * Math.PI) : 0;
+        }
+        // 'rest' leaves the envelope at 0: gravity and sensor noise only
+
+        const speed = envelope * this.virtualBowSpeed;
+        const ax = direction * 0.8 * speed + noise(0.04);
+        const ay = noise(0.04);
+        const az = 1.0 + noise(0.04); // Gravity
+        const gx = noise(4);
+        const gy = noise(4);
+        const gz = direction * 300 * speed + noise(4);
+
+        return [ax, ay, az, gx, gy, gz].map(v => v.toFixed(3)).join(',');
+    }
+
+    // Respond to commands the way the Arduino firmware would
+    handleVirtualDeviceCommand(command) {
+        const device = this.virtualDevice;
+
+        if (command.startsWith('HELLO')) {
+            // Reply asynchronously, like a real device
+            setTimeout(() => {
+                if (this.virtualDevice === device) {
+                    this.processData(`INFO:fw=virtual;proto=${this.PROTOCOL_VERSION};rate=${1000 / this.VIRTUAL_SAMPLE_INTERVAL_MS};cmds=VOL,IDLE,LED;units=g,dps`);
+                    this.processData('BAT:100');
+                }
+            }, 50);
+        } else if (command.startsWith('VOL:')) {
+            device.volume = parseInt(command.substring(4));
+            device.idle = false;
+        } else if (command === 'IDLE') {
+            device.idle = true;
+        } else if (command.startsWith('LED:')) {
+            device.led = command.substring(4);
+        } else {
+            console.log(`🤖 Virtual device ignored unknown command: ${command}`);
+        }
+
+        this.updateVirtualDeviceDisplay();
+    }
+
+    updateVirtualDeviceDisplay() {
+        const device = this.virtualDevice;
+        const volume = device.volume === null ? '-' : `${device.volume}%`;
+        document.getElementById('virtualDeviceState').textContent =
+            `Running · LED ${device.led}${device.idle ? ' (idle animation)' : ` · volume ${volume}`}`;
+    }
+
+    // ===== PHONE MOTION =====
+
+    // Use the phone's own accelerometer and gyroscope as the bow sensor
+    async connectPhoneMotion() {
+        if (this.isConnecting) {
+            console.log('Connection already in progress');
+            return;
+        }
+
+        if (!('DeviceMotionEvent' in window)) {
+            alert('Motion sensors are not available in this browser. Open the player on a phone (over HTTPS).');
+            return;
+        }
+
+        try {
+            this.isConnecting = true;
+            this.updateStatus('Connecting...');
+
+            // iOS asks for permission, which must come from this click
+            await this.requestPhoneMotionPermission();
+
+            if (this.isDeviceConnected() || this.isReconnecting) {
+                this.disconnect();
+            }
+
+            this.phoneMotion = {
+                onMotion: (event) => this.handlePhoneMotion(event),
+                onOrientation: (event) => this.handlePhoneOrientation(event),
+                orientation: null,
+                interval: null,
+                calibration: null
+            };
+            window.addEventListener('devicemotion', this.phoneMotion.onMotion);
+            window.addEventListener('deviceorientation', this.phoneMotion.onOrientation);
+
+            this.setImuMapping(this.DEFAULT_IMU_MAPPING);
+            this.resetStreamState();
+            this.connectionType = 'phone';
+            console.log('📱 Listening to phone motion sensors');
+
+            document.getElementById('calibratePhoneBtn').disabled = false;
+            await this.onDeviceConnected('Connected to phone motion sensors!');
+
+            // First use: measure the gyro drift before playing
+            if (!this.phoneCalibration) {
+                this.startPhoneCalibration();
+            } else {
+                this.updatePhoneMotionDisplay();
+            }
+
+        } catch (error) {
+            console.error('Phone motion error:', error);
+            this.updateStatus('Connection failed: ' + error.message);
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    async requestPhoneMotionPermission() {
+        if (typeof DeviceMotionEvent.requestPermission === 'function') {
+            const permission = await DeviceMotionEvent.requestPermission();
+            if (permission !== 'granted') {
+                throw new Error('Motion sensor permission denied');
+            }
+        }
+
+        // Orientation is only displayed, so a refusal isn't fatal
+        if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            const permission = await DeviceOrientationEvent.requestPermission();
+            if (permission !== 'granted') {
+                console.warn('⚠️ Orientation permission denied - continuing with motion only');
+            }
+        }
+    }
+
+    stopPhoneMotion() {
+        window.removeEventListener('devicemotion', this.phoneMotion.onMotion);
+        window.removeEventListener('deviceorientation', this.phoneMotion.onOrientation);
+        this.phoneMotion = null;
+
+        document.getElementById('calibratePhoneBtn').disabled = true;
+        document.getElementById('phoneMotionState').textContent = 'Not active';
+        console.log('📱 Phone motion sensors stopped');
+    }
+
+    // DeviceMotionEvent: acceleration in m/s² (with gravity, like the Arduino), rotation rate in deg/s
+    handlePhoneMotion(event) {
+        const accel = event.accelerationIncludingGravity;
+        const rotation = event.rotationRate;
+        if (!accel || accel.x === null) {
+            return; // No accelerometer (desktop browsers fire empty events)
+        }
+
+        this.phoneMotion.interval = event.interval || this.phoneMotion.interval;
+
+        // rotationRate: alpha turns around z, beta around x, gamma around y
+        const raw = {
+            ax: accel.x / this.STANDARD_GRAVITY,
+            ay: accel.y / this.STANDARD_GRAVITY,
+            az: accel.z / this.STANDARD_GRAVITY,
+            gx: rotation ? rotation.beta || 0 : 0,
+            gy: rotation ? rotation.gamma || 0 : 0,
+            gz: rotation ? rotation.alpha || 0 : 0
+        };
+
+        if (this.phoneMotion.calibration) {
+            this.collectPhoneCalibrationSample(raw);
+        }
+
+        const sample = this.applyPhoneCalibration(raw);
+
+        // Same CSV line an Arduino would send, so the rest of the pipeline is unchanged
+        this.processData([sample.ax, sample.ay, sample.az, sample.gx, sample.gy, sample.gz].map(v => v.toFixed(3)).join(','));
+    }
+
+    handlePhoneOrientation(event) {
+        if (event.alpha === null) {
+            return;
+        }
+        this.phoneMotion.orientation = { alpha: event.alpha, beta: event.beta, gamma: event.gamma };
+
+        // Orientation events are frequent, refresh the readout a few times per second
+        const now = Date.now();
+        if (!this.phoneMotion.calibration && now - (this.phoneMotion.lastDisplayTime || 0) > 250) {
+            this.phoneMotion.lastDisplayTime = now;
+            this.updatePhoneMotionDisplay();
+        }
+    }
+
+    applyPhoneCalibration(raw) {
+        if (!this.phoneCalibration) {
+            return raw;
+        }
+
+        const { gyroBias, accelScale } = this.phoneCalibration;
+        return {
+            ax: raw.ax * accelScale,
+            ay: raw.ay * accelScale,
+            az: raw.az * accelScale,
+            gx: raw.gx - gyroBias.x,
+            gy: raw.gy - gyroBias.y,
+            gz: raw.gz - gyroBias.z
+        };
+    }
+
+    // Hold the phone still: measures gyro drift and scales gravity to exactly 1 g
+    startPhoneCalibration() {
+        if (!this.phoneMotion) {
+            return;
+        }
+
+        this.phoneMotion.calibration = { samples: [], startTime: Date.now() };
+        document.getElementById('phoneMotionState').textContent = 'Calibrating - hold the phone still...';
+        console.log('📱 Phone calibration started - hold the phone still');
+    }
+
+    collectPhoneCalibrationSample(raw) {
+        const calibration = this.phoneMotion.calibration;
+        calibration.samples.push(raw);
+
+        if (Date.now() - calibration.startTime < this.PHONE_CALIBRATION_MS) {
+            return;
+        }
+        this.phoneMotion.calibration = null;
+
+        const samples = calibration.samples;
+        const mean = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+        const gyroBias = { x: mean('gx'), y: mean('gy'), z: mean('gz') };
+
+        const moved = samples.some(s =>
+            Math.abs(s.gx - gyroBias.x) > this.PHONE_CALIBRATION_MAX_ROTATION ||
+            Math.abs(s.gy - gyroBias.y) > this.PHONE_CALIBRATION_MAX_ROTATION ||
+            Math.abs(s.gz - gyroBias.z) > this.PHONE_CALIBRATION_MAX_ROTATION);
+        const gravity = Math.sqrt(mean('ax') ** 2 + mean('ay') ** 2 + mean('az') ** 2);
+
+        if (moved || gravity < 0.5) {
+            console.warn('⚠️ Phone moved during calibration - please try again');
+            document.getElementById('phoneMotionState').textContent = 'Calibration failed - keep the phone still and retry';
+            return;
+        }
+
+        this.phoneCalibration = { gyroBias, accelScale: 1 / gravity };
+        this.savePhoneCalibration();
+        console.log(`✅ Phone calibrated: gyro bias ${gyroBias.x.toFixed(2)}, ${gyroBias.y.toFixed(2)}, ${gyroBias.z.toFixed(2)} deg/s, gravity ${gravity.toFixed(3)} g`);
+        this.updatePhoneMotionDisplay();
+    }
+
+    updatePhoneMotionDisplay() {
+        const rate = this.phoneMotion.interval ? `${Math.round(1000 / this.phoneMotion.interval)} Hz` : 'waiting for data';
+        const orientation = this.phoneMotion.orientation;
+        const angles = orientation ?
+            ` · α ${orientation.alpha.toFixed(0)}° β ${orientation.beta.toFixed(0)}° γ ${orientation.gamma.toFixed(0)}°` : '';
+        document.getElementById('phoneMotionState').textContent =
+            `Active (${rate}) · ${this.phoneCalibration ? 'calibrated' : 'not calibrated'}${angles}`;
+    }
+
+    // ===== AIR BOW =====
+
+    startAirBow(event) {
+        const pad = document.getElementById('bowPad');
+
+        // A real sensor always wins
+        if (this.getConnectedRoles().length > 0) {
+            pad.classList.add('disabled');
+            document.getElementById('bowPadHint').textContent = 'Sensor connected - air bow disabled';
+            return;
+        }
+        pad.classList.remove('disabled');
+        pad.classList.add('active');
+        pad.setPointerCapture(event.pointerId);
+        document.getElementById('bowPadHint').textContent = '';
+
+        const now = performance.now();
+        if (!this.airBow) {
+            this.airBow = { velocity: 0, direction: 1 };
+            this.airBow.ticker = setInterval(() => this.emitAirBowSample(), this.AIR_BOW_SAMPLE_INTERVAL_MS);
+            console.log('🎻 Air bow active');
+        }
+        Object.assign(this.airBow, {
+            pointerId: event.pointerId,
+            lastX: event.clientX,
+            lastY: event.clientY,
+            lastTime: now,
+            lastMoveTime: now,
+            pressed: true
+        });
+        this.moveAirBowIndicator(event.clientX);
+
+        // Touching the pad is the user gesture that starts playback
+        if (!this.isImuPlaying) {
+            this.toggleImuPlayback();
+        }
+    }
+
+    moveAirBow(event) {
+        const bow = this.airBow;
+        if (!bow || !bow.pressed || event.pointerId !== bow.pointerId) {
+            return;
+        }
+
+        const now = performance.now();
+        const dt = (now - bow.lastTime) / 1000;
+        if (dt <= 0) {
+            return;
+        }
+
+        const dx = event.clientX - bow.lastX;
+        const dy = event.clientY - bow.lastY;
+        const speed = Math.sqrt(dx * dx + dy * dy) / dt;
+
+        // Light smoothing, pointer events arrive unevenly
+        bow.velocity = bow.velocity * 0.5 + speed * 0.5;
+        if (Math.abs(dx) > 1) {
+            bow.direction = dx > 0 ? 1 : -1;
+        }
+
+        bow.lastX = event.clientX;
+        bow.lastY = event.clientY;
+        bow.lastTime = now;
+        bow.lastMoveTime = now;
+        this.moveAirBowIndicator(event.clientX);
+    }
+
+    endAirBow(event) {
+        const bow = this.airBow;
+        if (!bow || event.pointerId !== bow.pointerId) {
+            return;
+        }
+
+        bow.pressed = false;
+        bow.releasedAt = performance.now();
+        document.getElementById('bowPad').classList.remove('active');
+        document.getElementById('bowPadHint').textContent = 'Drag here to bow';
+    }
+
+    moveAirBowIndicator(clientX) {
+        const pad = document.getElementById('bowPad');
+        const rect = pad.getBoundingClientRect();
+        const x = Math.max(0, Math.min(clientX - rect.left, rect.width));
+        document.getElementById('bowPadIndicator').style.left = `${x}px`;
+    }
+
+    // Emit synthetic samples at a steady rate so the motion filter fills (and empties) like a real bow
+    emitAirBowSample() {
+        const bow = this.airBow;
+        const now = performance.now();
+
+        // Holding still or letting go decays the speed instead of leaving it stuck
+        if (now - bow.lastMoveTime > this.AIR_BOW_SAMPLE_INTERVAL_MS * 2) {
+            bow.velocity *= 0.5;
+        }
+
+        const released = !bow.pressed && now - bow.releasedAt > 1000;
+        if (released || this.getConnectedRoles().length > 0) {
+            clearInterval(bow.ticker);
+            this.airBow = null;
+            console.log('🎻 Air bow idle');
+            return;
+        }
+
+        // Scale so a full-speed drag reaches maxMotionSpeed in calculateCombinedMotion()
+        const normalized = Math.min(bow.velocity / this.AIR_BOW_FULL_SPEED, 1.0);
+        const sample = { ax: 0, ay: 0, az: 1.0, gx: 0, gy: 0, gz: 0 };
+        sample[`a${this.imuMapping.bowAxis}`] = bow.direction * normalized;
+
+        // Rotation on the stroke axis, signed like a real up-bow/down-bow
+        const strokeAxis = this.imuMapping.strokeAxis || 'z';
+        const strokeSign = strokeAxis.startsWith('-') ? -1 : 1;
+        sample[`g${strokeAxis.replace('-', '')}`] = strokeSign * bow.direction * normalized * this.maxMotionSpeed / this.motionGyroWeight;
+
+        // Already in player axes, so it skips the device mapping
+        this.applyMotionSample(this.primaryRole, sample);
+    }
+
+    // ===== MOTION CALIBRATION =====
+
+    // Identifies the sensor driving audio, so each bow gets its own calibration (null = none connected)
+    getCalibrationDeviceKey() {
+        const bowEntry = this.extraDevices.find(entry => entry.role === 'bow');
+        if (bowEntry) {
+            return `ble:${bowEntry.device.id}`;
+        }
+        if (!this.isDeviceConnected()) {
+            return null;
+        }
+        if (this.connectionType === 'virtual' || this.connectionType === 'phone') {
+            return this.connectionType;
+        }
+        return this.savedConnection ? this.getConnectionKey(this.savedConnection) : null;
+    }
+
+    getCalibrationKey() {
+        const deviceKey = this.getCalibrationDeviceKey();
+        return deviceKey ? `${deviceKey}|${this.playerName}` : null;
+    }
+
+    // Load the profile for the current device and player; without one the uncalibrated settings stay in use
+    loadMotionCalibration() {
+        if (this.calibrationWizard) {
+            return;
+        }
+        const key = this.getCalibrationKey();
+        const profile = key ? this.loadSavedMotionCalibrations()[key] || null : null;
+        this.applyMotionCalibration(profile);
+    }
+
+    applyMotionCalibration(profile) {
+        if (profile) {
+            // Keep what the user had set, to go back to when the profile no longer applies
+            if (!this.motionCalibration) {
+                this.uncalibratedMotion = { maxSpeed: this.maxMotionSpeed, threshold: this.motionThreshold };
+            }
+            this.maxMotionSpeed = profile.maxSpeed;
+            this.motionThreshold = profile.threshold;
+        } else if (this.uncalibratedMotion) {
+            this.maxMotionSpeed = this.uncalibratedMotion.maxSpeed;
+            this.motionThreshold = this.uncalibratedMotion.threshold;
+            this.uncalibratedMotion = null;
+        }
+        this.motionCalibration = profile;
+
+        const thresholdPercent = Math.round(this.motionThreshold * 100);
+        document.getElementById('motionThresholdSlider').value = thresholdPercent;
+        document.getElementById('motionThresholdValue').textContent = thresholdPercent;
+        this.updateMotionCalibrationDisplay();
+    }
+
+    // Gyro bias from the "hold still" step (in place, before fusion and motion speed)
+    removeGyroBias(imuData) {
+        const bias = this.calibrationWizard ? this.calibrationWizard.gyroBias :
+            this.motionCalibration && this.motionCalibration.gyroBias;
+        if (bias) {
+            imuData.gx -= bias.x;
+            imuData.gy -= bias.y;
+            imuData.gz -= bias.z;
+        }
+    }
+
+    startMotionCalibration() {
+        if (!this.getCalibrationKey()) {
+            alert('Connect the bow sensor before calibrating.');
+            return;
+        }
+
+        // Raw gyro until the "hold still" step has measured the bias
+        this.calibrationWizard = {
+            previous: this.motionCalibration,
+            stepIndex: 0,
+            stepStart: 0,
+            samples: [],
+            gyroBias: null,
+            lastError: null,
+            results: {}
+        };
+
+        document.getElementById('calibrateMotionBtn').disabled = true;
+        document.getElementById('cancelCalibrationBtn').style.display = 'inline-block';
+        document.getElementById('calibrationProgress').style.display = 'block';
+        console.log(`🎯 Motion calibration started (player: ${this.playerName})`);
+        this.startCalibrationStep();
+    }
+
+    startCalibrationStep() {
+        const wizard = this.calibrationWizard;
+        wizard.samples = [];
+        wizard.stepStart = Date.now() + this.CALIBRATION_COUNTDOWN_MS;
+        this.updateMotionCalibrationDisplay();
+    }
+
+    collectMotionCalibrationSample(imuData) {
+        const wizard = this.calibrationWizard;
+        const step = this.CALIBRATION_STEPS[wizard.stepIndex];
+        const elapsed = Date.now() - wizard.stepStart;
+
+        if (elapsed >= 0) {
+            wizard.samples.push(step.id === 'still' ?
+                { gx: imuData.gx, gy: imuData.gy, gz: imuData.gz, linearAccel: imuData.linearAccel } :
+                this.motionSpeed);
+        }
+        this.updateMotionCalibrationDisplay();
+
+        if (elapsed < step.durationMs) {
+            return;
+        }
+
+        const error = this.finishCalibrationStep(step.id, wizard.samples);
+        if (error) {
+            // Same step again after the countdown
+            console.warn(`⚠️ Calibration step "${step.id}" failed: ${error}`);
+            wizard.lastError = error;
+            this.startCalibrationStep();
+            return;
+        }
+
+        wizard.lastError = null;
+        wizard.stepIndex++;
+        if (wizard.stepIndex < this.CALIBRATION_STEPS.length) {
+            this.startCalibrationStep();
+        } else {
+            this.completeMotionCalibration();
+        }
+    }
+
+    // Evaluate one step's samples into wizard.results; returns an error message to retry the step
+    finishCalibrationStep(stepId, samples) {
+        const wizard = this.calibrationWizard;
+        if (samples.length < this.CALIBRATION_MIN_SAMPLES) {
+            return 'not enough sensor data';
+        }
+
+        if (stepId === 'still') {
+            const mean = (key) => samples.reduce((sum, s) => sum + s[key], 0) / samples.length;
+            const gyroBias = { x: mean('gx'), y: mean('gy'), z: mean('gz') };
+
+            const moved = samples.some(s =>
+                Math.abs(s.gx - gyroBias.x) > this.CALIBRATION_STILL_MAX_ROTATION ||
+                Math.abs(s.gy - gyroBias.y) > this.CALIBRATION_STILL_MAX_ROTATION ||
+                Math.abs(s.gz - gyroBias.z) > this.CALIBRATION_STILL_MAX_ROTATION);
+            if (moved) {
+                return 'the bow moved - keep it still';
+            }
+
+            // Motion speed the sensor reports at rest once the bias is removed
+            const restMotion = samples.map(s => this.calculateCombinedMotion({
+                gx: s.gx - gyroBias.x,
+                gy: s.gy - gyroBias.y,
+                gz: s.gz - gyroBias.z,
+                linearAccel: s.linearAccel
+            }));
+            wizard.gyroBias = gyroBias;
+            wizard.results.noiseFloor = this.percentile(restMotion, 0.95);
+            console.log(`✅ Gyro bias ${gyroBias.x.toFixed(2)}, ${gyroBias.y.toFixed(2)}, ${gyroBias.z.toFixed(2)} deg/s, noise floor ${wizard.results.noiseFloor.toFixed(1)}`);
+            return null;
+        }
+
+        // Only the samples where the bow was actually moving
+        const moving = samples.filter(speed => speed > wizard.results.noiseFloor * 2);
+        if (moving.length < samples.length / 4) {
+            return 'no bowing detected';
+        }
+
+        if (stepId === 'soft') {
+            wizard.results.softSpeed = this.percentile(moving, 0.5);
+            console.log(`✅ Soft bowing speed ${wizard.results.softSpeed.toFixed(1)}`);
+            return null;
+        }
+
+        const maxSpeed = this.percentile(moving, 0.95);
+        if (maxSpeed < wizard.results.softSpeed * 1.2) {
+            return 'bow faster than in the soft step';
+        }
+        wizard.results.maxSpeed = maxSpeed;
+        console.log(`✅ Maximum bowing speed ${maxSpeed.toFixed(1)}`);
+        return null;
+    }
+
+    completeMotionCalibration() {
+        const { gyroBias, results } = this.calibrationWizard;
+
+        // Halfway between resting noise and soft bowing, so soft playing still clears it
+        const threshold = (results.noiseFloor + results.softSpeed) / 2 / results.maxSpeed;
+        const profile = {
+            gyroBias,
+            noiseFloor: results.noiseFloor,
+            softSpeed: results.softSpeed,
+            maxSpeed: results.maxSpeed,
+            threshold: Math.round(Math.min(Math.max(threshold, 0.01), 0.9) * 100) / 100,
+            calibratedAt: Date.now()
+        };
+
+        this.endMotionCalibration();
+        this.applyMotionCalibration(profile);
+        this.saveMotionCalibration();
+        console.log(`🎯 Motion calibration saved: full speed ${profile.maxSpeed.toFixed(1)}, threshold ${Math.round(profile.threshold * 100)}%`);
+    }
+
+    cancelMotionCalibration() {
+        if (!this.calibrationWizard) {
+            return;
+        }
+
+        const previous = this.calibrationWizard.previous;
+        this.endMotionCalibration();
+        this.applyMotionCalibration(previous);
+        console.log('🎯 Motion calibration cancelled');
+    }
+
+    endMotionCalibration() {
+        this.calibrationWizard = null;
+        document.getElementById('calibrateMotionBtn').disabled = false;
+        document.getElementById('cancelCalibrationBtn').style.display = 'none';
+        document.getElementById('calibrationProgress').style.display = 'none';
+    }
+
+    // Forget the profile for this device and player (back to the uncalibrated speed and threshold)
+    resetMotionCalibration() {
+        const key = this.getCalibrationKey();
+        if (key) {
+            const calibrations = this.loadSavedMotionCalibrations();
+            delete calibrations[key];
+            localStorage.setItem('violinPlayerMotionCalibrations', JSON.stringify(calibrations));
+        }
+        this.applyMotionCalibration(null);
+        console.log('🎯 Motion calibration reset - using the uncalibrated speed and threshold');
+    }
+
+    setPlayerName(name) {
+        this.playerName = name.trim() || 'Default';
+        localStorage.setItem('violinPlayerPlayerName', this.playerName);
+        this.cancelMotionCalibration();
+        this.loadMotionCalibration();
+        console.log(`🎻 Player: ${this.playerName}`);
+    }
+
+    updateMotionCalibrationDisplay() {
+        const status = document.getElementById('calibrationStatus');
+        const wizard = this.calibrationWizard;
+
+        if (wizard) {
+            const step = this.CALIBRATION_STEPS[wizard.stepIndex];
+            const elapsed = Date.now() - wizard.stepStart;
+            const stepLabel = `Step ${wizard.stepIndex + 1}/${this.CALIBRATION_STEPS.length}: ${step.prompt}`;
+            const retry = wizard.lastError ? ` (${wizard.lastError}, try again)` : '';
+
+            status.textContent = elapsed < 0 ?
+                `${stepLabel} - starting in ${Math.ceil(-elapsed / 1000)}s${retry}` :
+                `${stepLabel}...`;
+            document.getElementById('calibrationProgressFill').style.width =
+                `${Math.min(Math.max(elapsed / step.durationMs, 0), 1) * 100}%`;
+            return;
+        }
+
+        const profile = this.motionCalibration;
+        status.textContent = profile ?
+            `Calibrated ${new Date(profile.calibratedAt).toLocaleDateString()} · full speed ${profile.maxSpeed.toFixed(0)} · noise ${profile.noiseFloor.toFixed(1)}` :
+            'Not calibrated (default full speed, threshold from the slider)';
+        document.getElementById('resetCalibrationBtn').disabled = !profile;
+    }
+
+    // Value below which a fraction p of the values fall
+    percentile(values, p) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    }
+
+    // ===== MULTI-DEVICE =====
+
+    // Roles with a live connection (main device + extra sensors)
+    getConnectedRoles() {
+        const roles = this.extraDevices.map(entry => entry.role);
+        if (this.isDeviceConnected()) {
+            roles.push(this.primaryRole);
+        }
+        return roles;
+    }
+
+    // The device whose frames drive audio: the bow sensor if there is one, else the main device
+    getDrivingRole() {
+        return this.getConnectedRoles().includes('bow') ? 'bow' : this.primaryRole;
+    }
+
+    updateDeviceState(role, imuData) {
+        if (!this.deviceStates[role]) {
+            this.deviceStates[role] = { imuData, motionFilter: this.createMotionFilter(), motionSpeed: 0, lastUpdate: 0 };
+        }
+
+        const state = this.deviceStates[role];
+        state.imuData = imuData;
+        state.lastUpdate = Date.now();
+
+        state.motionSpeed = this.filterMotion(state.motionFilter, this.calculateCombinedMotion(imuData), imuData.timestampUs);
+        return state;
+    }
+
+    isDeviceStateFresh(state) {
+        return !!state && Date.now() - state.lastUpdate < this.DEVICE_STATE_STALE_MS;
+    }
+
+    // IMU values used for motion speed: bow data, or bow minus body in 'relative' mode
+    getMotionInput() {
+        if (this.motionCombineMode !== 'relative' || this.getDrivingRole() !== 'bow') {
+            return this.imuData;
+        }
+
+        const body = this.deviceStates.body;
+        if (!this.isDeviceStateFresh(body)) {
+            return this.imuData; // No body sensor data - fall back to the bow alone
+        }
+
+        // Swaying moves both sensors together, so it cancels out of the difference.
+        // Axes are subtracted as they are: this assumes both sensors are mounted with their axes aligned
+        const bowLinear = this.imuData.linearAccel;
+        const bodyLinear = body.imuData.linearAccel;
+        return {
+            ax: this.imuData.ax - body.imuData.ax,
+            ay: this.imuData.ay - body.imuData.ay,
+            az: this.imuData.az - body.imuData.az,
+            gx: this.imuData.gx - body.imuData.gx,
+            gy: this.imuData.gy - body.imuData.gy,
+            gz: this.imuData.gz - body.imuData.gz,
+            linearAccel: {
+                x: bowLinear.x - bodyLinear.x,
+                y: bowLinear.y - bodyLinear.y,
+                z: bowLinear.z - bodyLinear.z
+            }
+        };
+    }
+
+    setPrimaryRole(role) {
+        if (this.extraDevices.some(entry => entry.role === role)) {
+            alert(`An extra sensor already has the ${this.DEVICE_ROLES[role]} role. Remove it first.`);
+            document.getElementById('primaryRoleSelect').value = this.primaryRole;
+            return;
+        }
+
+        delete this.deviceStates[this.primaryRole];
+        this.primaryRole = role;
+        localStorage.setItem('violinPlayerPrimaryRole', role);
+        console.log(`🎻 Main device role set to: ${this.DEVICE_ROLES[role]}`);
+    }
+
+    async addExtraDevice() {
+        // Prevent multiple connection attempts
+        if (this.isConnecting) {
+            console.log('Connection already in progress');
+            return;
+        }
+
+        const role = document.getElementById('extraDeviceRoleSelect').value;
+        if (role === this.primaryRole && this.isDeviceConnected()) {
+            alert(`The main device already has the ${this.DEVICE_ROLES[role]} role. Pick another role for the extra sensor.`);
+            return;
+        }
+
+        try {
+            this.isConnecting = true;
+
+            const device = await navigator.bluetooth.requestDevice({
+                acceptAllDevices: true,
+                optionalServices: this.BLE_OPTIONAL_SERVICES
+            });
+            console.log(`Extra sensor selected (${this.DEVICE_ROLES[role]}):`, device.name);
+
+            const server = await device.gatt.connect();
+            const services = await server.getPrimaryServices();
+            console.log(`Discovered ${services.length} services on extra sensor`);
+
+            await this.chooseImuCharacteristic(services, (characteristic, serviceUuid) => {
+                this.attachExtraDevice(role, device, characteristic, serviceUuid);
+            });
+
+        } catch (error) {
+            console.error('Extra sensor connection error:', error);
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    async attachExtraDevice(role, device, characteristic, serviceUuid) {
+        this.closeModal('serviceModal');
+
+        // One device per role - replace whatever had this role before
+        this.removeExtraDevice(role, false);
+
+        const entry = {
+            role,
+            device,
+            characteristic,
+            buffer: '',
+            onData: null,
+            onDisconnect: null
+        };
+
+        try {
+            await characteristic.startNotifications();
+            entry.onData = (event) => this.handleExtraDeviceData(entry, event.target.value);
+            characteristic.addEventListener('characteristicvaluechanged', entry.onData);
+
+            entry.onDisconnect = () => this.handleExtraDeviceDisconnect(entry);
+            device.addEventListener('gattserverdisconnected', entry.onDisconnect);
+
+            this.extraDevices.push(entry);
+            this.saveExtraDeviceConnection(role, device.id, device.name, serviceUuid, characteristic.uuid);
+            this.renderExtraDevices();
+            this.loadMotionCalibration();
+
+            console.log(`✅ Extra sensor connected as ${this.DEVICE_ROLES[role]}: ${device.name}`);
+        } catch (error) {
+            console.error('Extra sensor subscription error:', error);
+        }
+    }
+
+    handleExtraDeviceData(entry, value) {
+        // Binary frames from extra sensors are used as-is (no packet statistics)
+        if (this.isBinaryImuPacket(value)) {
+            const frameSize = this.getBinaryFrameSize(value.getUint8(0));
+            for (let offset = 0; offset + frameSize <= value.byteLength; offset += frameSize) {
+                this.handleImuSample(this.parseBinaryFrame(value, offset).sample, entry);
+            }
+            return;
+        }
+
+        const decoder = new TextDecoder();
+        entry.buffer += decoder.decode(value);
+
+        const lines = entry.buffer.split('\n');
+        entry.buffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+        const mapping = this.getExtraDeviceMapping(entry);
+        lines.forEach(line => {
+            const sample = this.parseImuLine(line.trim(), mapping);
+            if (sample) {
+                this.handleImuSample(sample, entry);
+            }
+        });
+    }
+
+    handleExtraDeviceDisconnect(entry) {
+        console.log(`Extra sensor disconnected (${this.DEVICE_ROLES[entry.role]})`);
+        this.extraDevices = this.extraDevices.filter(e => e !== entry);
+        delete this.deviceStates[entry.role];
+        this.renderExtraDevices();
+        this.loadMotionCalibration();
+        this.onExtraBowSensorGone(entry.role);
+    }
+
+    // Once the main device had gone, an extra bow sensor was all that drove audio
+    onExtraBowSensorGone(role) {
+        if (role !== 'bow' || this.isDeviceConnected()) {
+            return;
+        }
+
+        this.stopWatchdog();
+        if (this.audioElement && !this.isTestPlaying) {
+            this.forcePause();
+            console.log('Audio paused (bow sensor disconnected)');
+        }
+    }
+
+    // Disconnect the extra sensor with a role; forget = also drop it from auto-reconnect
+    removeExtraDevice(role, forget = true) {
+        const entry = this.extraDevices.find(e => e.role === role);
+
+        if (entry) {
+            try {
+                entry.characteristic.removeEventListener('characteristicvaluechanged', entry.onData);
+                entry.device.removeEventListener('gattserverdisconnected', entry.onDisconnect);
+                if (entry.device.gatt.connected) {
+                    entry.device.gatt.disconnect();
+                }
+            } catch (error) {
+                console.error('Error disconnecting extra sensor:', error);
+            }
+
+            this.extraDevices = this.extraDevices.filter(e => e !== entry);
+            delete this.deviceStates[role];
+            console.log(`Extra sensor removed (${this.DEVICE_ROLES[role]})`);
+            this.onExtraBowSensorGone(role);
+        }
+
+        if (forget) {
+            this.forgetExtraDeviceConnection(role);
+        }
+        this.renderExtraDevices();
+        this.loadMotionCalibration();
+    }
+
+    async attemptExtraDevicesReconnect() {
+        if (this.savedExtraDevices.length === 0 || !navigator.bluetooth) {
+            return;
+        }
+
+        try {
+            const devices = await navigator.bluetooth.getDevices();
+
+            for (const saved of this.savedExtraDevices) {
+                if (this.extraDevices.some(entry => entry.role === saved.role)) {
+                    continue;
+                }
+                // The main device may have taken this role since the sensor was saved
+                if (saved.role === this.primaryRole) {
+                    console.warn(`⚠️ Not restoring extra sensor: the main device has the ${this.DEVICE_ROLES[saved.role]} role`);
+                    continue;
+                }
+
+                const device = devices.find(d => d.id === saved.deviceId);
+                if (!device) {
+                    console.log(`Saved extra sensor not found (${this.DEVICE_ROLES[saved.role]})`);
+                    continue;
+                }
+
+                try {
+                    console.log(`Reconnecting extra sensor (${this.DEVICE_ROLES[saved.role]})...`);
+                    const server = await device.gatt.connect();
+                    const service = await server.getPrimaryService(saved.serviceUuid);
+                    const characteristic = await service.getCharacteristic(saved.characteristicUuid);
+                    await this.attachExtraDevice(saved.role, device, characteristic, saved.serviceUuid);
+                } catch (error) {
+                    console.log(`Extra sensor auto-reconnect failed (${this.DEVICE_ROLES[saved.role]}):`, error);
+                }
+            }
+        } catch (error) {
+            console.log('Extra sensor auto-reconnect failed:', error);
+        }
+    }
+
+    renderExtraDevices() {
+        const list = document.getElementById('extraDevicesList');
+        list.innerHTML = '';
+
+        this.extraDevices.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'extra-device-item';
+            item.innerHTML = `
+                <span class="extra-device-role">${this.DEVICE_ROLES[entry.role]}</span>
+                <span class="extra-device-name">${this.escapeHtml(entry.device.name || 'Unnamed device')}</span>
+            `;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary btn-small';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removeExtraDevice(entry.role));
+            item.appendChild(removeBtn);
+
+            list.appendChild(item);
+        });
+
+        this.renderMappingDeviceSelect();
+    }
+
+    // Main device plus one entry per connected extra sensor; falls back to the main device when one goes away
+    renderMappingDeviceSelect() {
+        const select = document.getElementById('mappingDeviceSelect');
+        select.innerHTML = '<option value="">Main device</option>' + this.extraDevices.map(entry =>
+            `<option value="${entry.role}">${this.DEVICE_ROLES[entry.role]} sensor</option>`).join('');
+
+        if (!this.getMappingFormEntry()) {
+            this.mappingFormRole = null;
+        }
+        select.value = this.mappingFormRole || '';
+        this.renderImuMappingForm();
+    }
+
+    // Per-device motion in the IMU card (only shown with more than one device)
+    updateDeviceMotionDisplay() {
+        const container = document.getElementById('deviceMotionList');
+        const roles = Object.keys(this.deviceStates);
+
+        if (roles.length < 2) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.style.display = 'flex';
+        container.innerHTML = roles.map(role => {
+            const state = this.deviceStates[role];
+            const stale = this.isDeviceStateFresh(state) ? '' : ' stale';
+            return `<span class="stream-value${stale}">${this.DEVICE_ROLES[role]}: ${state.motionSpeed.toFixed(1)}</span>`;
+        }).join('');
+    }
+
+    // ===== PLAYER EVENTS =====
+
+    // Subscribe to a player event ('strokestart', 'strokeend', 'accent', 'stringchange', 'gesture'); returns an unsubscribe function
+    on(eventName, callback) {
+        if (!this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = [];
+        }
+        this.eventListeners[eventName].push(callback);
+        return () => this.off(eventName, callback);
+    }
+
+    off(eventName, callback) {
+        if (this.eventListeners[eventName]) {
+            this.eventListeners[eventName] = this.eventListeners[eventName].filter(cb => cb !== callback);
+        }
+    }
+
+    emit(eventName, detail) {
+        (this.eventListeners[eventName] || []).forEach(callback => {
+            try {
+                callback(detail);
+            } catch (error) {
+                console.error(`Error in ${eventName} listener:`, error);
+            }
+        });
+    }
+
+    // ===== BOW STROKE DETECTION =====
+
+    createStrokeDetector() {
+        return {
+            lastTimestampUs: null,
+            lastTime: null,
+            velocity: 0, // m/s along the bow, integrated from linear acceleration
+            bowSpeed: 0, // Signed stroke signal (deg/s equivalent), positive = up-bow
+            stroke: null // Stroke in progress
+        };
+    }
+
+    // Gyro rate around the bowing rotation axis, signed so up-bow is positive
+    getStrokeGyro(imuData) {
+        const axis = this.getDrivingMapping().strokeAxis || 'z';
+        const sign = axis.startsWith('-') ? -1 : 1;
+        return sign * imuData[`g${axis.replace('-', '')}`];
+    }
+
+    updateStrokeDetector(imuData) {
+        const detector = this.strokeDetector;
+        const dt = this.getMotionFilterTimeStep(detector, imuData.timestampUs);
+
+        // First sample or a data gap: close any open stroke and start integrating afresh
+        if (dt === null) {
+            if (detector.stroke) {
+                this.endStroke();
+            }
+            detector.velocity = 0;
+            return;
+        }
+
+        // Leaky integration keeps accelerometer drift bounded; raw accel (gravity removal off) would only drift
+        const alongBow = this.gravityCompensation === 'off' ? 0 : imuData.linearAccel[this.getDrivingMapping().bowAxis];
+        const strokeGyro = this.getStrokeGyro(imuData);
+        detector.velocity = (detector.velocity + alongBow * this.STANDARD_GRAVITY * dt) *
+            Math.exp(-dt / this.STROKE_VELOCITY_LEAK_S);
+
+        // Zero-velocity update: a bow that neither turns nor accelerates is at rest
+        if (Math.abs(strokeGyro) < this.STROKE_END_THRESHOLD && Math.abs(alongBow) < this.STROKE_REST_ACCEL) {
+            detector.velocity = 0;
+        }
+        detector.bowSpeed = strokeGyro + detector.velocity * this.STROKE_VELOCITY_WEIGHT;
+
+        const stroke = detector.stroke;
+        if (!stroke) {
+            if (Math.abs(detector.bowSpeed) > this.STROKE_START_THRESHOLD) {
+                this.startStroke(Math.sign(detector.bowSpeed));
+            }
+            return;
+        }
+
+        stroke.duration += dt * 1000;
+        stroke.length += Math.abs(detector.velocity) * dt;
+        stroke.peakSpeed = Math.max(stroke.peakSpeed, this.motionSpeed);
+
+        // Hysteresis: a stroke runs until its speed drops below the lower threshold,
+        // and never ends before the minimum stroke time (no chatter around zero)
+        if (stroke.duration < this.STROKE_MIN_DURATION_MS) {
+            return;
+        }
+        const speedAlongStroke = stroke.direction * detector.bowSpeed;
+        if (speedAlongStroke < -this.STROKE_START_THRESHOLD) {
+            this.endStroke();
+            this.startStroke(-stroke.direction);
+        } else if (speedAlongStroke < this.STROKE_END_THRESHOLD) {
+            this.endStroke();
+        }
+    }
+
+    startStroke(sign) {
+        this.strokeDetector.stroke = {
+            direction: sign,
+            startTime: Date.now(),
+            duration: 0,
+            length: 0,
+            peakSpeed: this.motionSpeed
+        };
+
+        this.emit('strokestart', {
+            direction: sign > 0 ? 'up' : 'down',
+            previousDirection: this.lastStroke ? this.lastStroke.direction : null,
+            time: Date.now()
+        });
+    }
+
+    endStroke() {
+        const stroke = this.strokeDetector.stroke;
+        this.strokeDetector.stroke = null;
+
+        this.lastStroke = {
+            direction: stroke.direction > 0 ? 'up' : 'down',
+            startTime: stroke.startTime,
+            endTime: Date.now(),
+            duration: Math.round(stroke.duration), // ms
+            peakSpeed: stroke.peakSpeed, // Motion speed units (see maxMotionSpeed)
+            length: stroke.length // Approximate, metres
+        };
+        this.emit('strokeend', this.lastStroke);
+    }
+
+    // Bow direction readout and CHANGE badge (a strokestart subscriber)
+    showStrokeStart(event) {
+        this.bowDirection = event.direction === 'up' ? 'Up-Bow →' : 'Down-Bow ←';
+
+        if (event.previousDirection && event.previousDirection !== event.direction) {
+            const changeBadge = document.getElementById('directionChange');
+            changeBadge.style.display = 'inline-block';
+            setTimeout(() => changeBadge.style.display = 'none', 200);
+        }
+    }
+
+    showStrokeEnd(event) {
+        const arrow = event.direction === 'up' ? '→ Up' : '← Down';
+        document.getElementById('lastStroke').textContent =
+            `${arrow} · ${(event.duration / 1000).toFixed(2)} s · ~${Math.round(event.length * 100)} cm · peak ${event.peakSpeed.toFixed(0)}`;
+    }
+
+    // ===== STRING CROSSING =====
+
+    // Rotation around the bow's length, from gravity seen across the bow (yaw drifts, gravity doesn't).
+    // 0° with player Z up (Y when Z runs along the bow)
+    getBowTilt() {
+        const gravity = this.getGravityDirection();
+        const axis = this.getDrivingMapping().bowAxis;
+        const across = { x: gravity.y, y: -gravity.x, z: gravity.x }[axis];
+        const up = { x: gravity.z, y: gravity.z, z: gravity.y }[axis];
+        const tilt = Math.atan2(across, up) * 180 / Math.PI;
+        return this.stringTiltReversed ? -tilt : tilt;
+    }
+
+    updateStringCrossing() {
+        const tilt = this.getBowTilt();
+        const previous = this.currentString;
+        let index = previous;
+
+        if (index === null) {
+            index = this.stringBoundaries.filter(boundary => tilt >= boundary).length;
+        } else {
+            // Hysteresis: the tilt has to pass a boundary by a margin, so the string doesn't flicker on it
+            while (index < this.stringBoundaries.length && tilt > this.stringBoundaries[index] + this.stringHysteresis) {
+                index++;
+            }
+            while (index > 0 && tilt < this.stringBoundaries[index - 1] - this.stringHysteresis) {
+                index--;
+            }
+        }
+
+        if (index === previous) {
+            return;
+        }
+        this.currentString = index;
+        this.emit('stringchange', {
+            string: this.VIOLIN_STRINGS[index].name,
+            previousString: previous === null ? null : this.VIOLIN_STRINGS[previous].name,
+            tilt,
+            time: Date.now()
+        });
+    }
+
+    // MIDI note as played on the detected string: moved into its register, or null when constrained away
+    applyStringToNote(note) {
+        if (this.stringMidiMode === 'off' || this.currentString === null) {
+            return note;
+        }
+
+        if (this.stringMidiMode === 'register') {
+            // Same pitch class, in the octave starting at the open string
+            const openNote = this.VIOLIN_STRINGS[this.currentString].openNote;
+            return { ...note, pitch: openNote + ((note.pitch - openNote) % 12 + 12) % 12 };
+        }
+        return this.getStringForPitch(note.pitch) === this.currentString ? note : null;
+    }
+
+    // String a note is normally played on: the highest open string at or below it (notes below G on G)
+    getStringForPitch(pitch) {
+        let index = 0;
+        this.VIOLIN_STRINGS.forEach((string, i) => {
+            if (pitch >= string.openNote) {
+                index = i;
+            }
+        });
+        return index;
+    }
+
+    // Move one boundary, kept between its neighbours so the bands stay in G-D-A-E order
+    setStringBoundary(index, value) {
+        const lower = index > 0 ? this.stringBoundaries[index - 1] : -90;
+        const upper = index < this.stringBoundaries.length - 1 ? this.stringBoundaries[index + 1] : 90;
+        this.stringBoundaries[index] = Math.min(Math.max(value, lower), upper);
+        this.currentString = null; // Re-pick the string without hysteresis
+        this.renderStringCrossingSettings();
+    }
+
+    renderStringCrossingSettings() {
+        this.stringBoundaries.forEach((boundary, i) => {
+            document.getElementById(`stringBoundary${i}Slider`).value = boundary;
+            document.getElementById(`stringBoundary${i}Value`).textContent = boundary;
+        });
+        document.getElementById('stringHysteresisSlider').value = this.stringHysteresis;
+        document.getElementById('stringHysteresisValue').textContent = this.stringHysteresis;
+        document.getElementById('stringReverseToggle').checked = this.stringTiltReversed;
+        document.getElementById('stringMidiModeSelect').value = this.stringMidiMode;
+    }
+
+    // ===== VIBRATO =====
+
+    // The left hand makes the vibrato; without a sensor there, look for it in the bow
+    getVibratoRole() {
+        return this.isDeviceStateFresh(this.deviceStates.leftHand) ? 'leftHand' : this.getDrivingRole();
+    }
+
+    createVibratoDetector() {
+        return {
+            lastTimestampUs: null,
+            lastTime: null,
+            time: 0, // Seconds since the stream (re)started
+            samples: [] // [{time, gyro: [x, y, z]}] in the analysis window
+        };
+    }
+
+    updateVibrato(imuData) {
+        const detector = this.vibratoDetector;
+        const dt = this.getMotionFilterTimeStep(detector, imuData.timestampUs);
+
+        // A gap breaks the oscillation: analyse only what comes after it
+        if (dt === null) {
+            detector.samples = [];
+        } else {
+            detector.time += dt;
+        }
+        detector.samples.push({ time: detector.time, gyro: [imuData.gx, imuData.gy, imuData.gz] });
+        while (detector.time - detector.samples[0].time > this.VIBRATO_WINDOW_MS / 1000) {
+            detector.samples.shift();
+        }
+
+        const reading = this.analyzeVibrato(detector.samples);
+        const vibrato = this.vibrato;
+        if (reading) {
+            vibrato.rate = vibrato.rate ? vibrato.rate + (reading.rate - vibrato.rate) * this.VIBRATO_SMOOTHING : reading.rate;
+            vibrato.depth += (reading.depth - vibrato.depth) * this.VIBRATO_SMOOTHING;
+        } else {
+            vibrato.depth -= vibrato.depth * this.VIBRATO_SMOOTHING; // Fade out rather than cut
+        }
+        vibrato.active = !!reading;
+        vibrato.cents = Math.min(vibrato.depth / this.VIBRATO_FULL_DEPTH, 1) * this.vibratoMaxCents;
+
+        this.updateVibratoAudio();
+    }
+
+    // Strongest periodic oscillation in the vibrato band on any gyro axis: {rate, depth} or null
+    analyzeVibrato(samples) {
+        const n = samples.length;
+        const span = n > 1 ? samples[n - 1].time - samples[0].time : 0;
+        if (span < this.VIBRATO_WINDOW_MS / 1000 * 0.8) {
+            return null;
+        }
+
+        const sampleRate = (n - 1) / span;
+        const minLag = Math.max(2, Math.floor(sampleRate / this.VIBRATO_MAX_RATE));
+        const maxLag = Math.ceil(sampleRate / this.VIBRATO_MIN_RATE);
+        if (maxLag + 1 >= n / 2) {
+            return null; // Too few samples for the slowest vibrato
+        }
+
+        let best = null;
+        for (let axis = 0; axis < 3; axis++) {
+            const oscillation = this.removeSlowMotion(samples.map(s => s.gyro[axis]), maxLag);
+            const energy = oscillation.reduce((sum, v) => sum + v * v, 0);
+            const depth = Math.sqrt(2 * energy / n); // Amplitude of a sine with this energy
+            if (depth < this.VIBRATO_MIN_DEPTH) {
+                continue;
+            }
+
+            // Normalized autocorrelation up to one lag past the slowest vibrato
+            const correlations = [1];
+            for (let lag = 1; lag <= maxLag + 1; lag++) {
+                let sum = 0;
+                for (let i = 0; i + lag < n; i++) {
+                    sum += oscillation[i] * oscillation[i + lag];
+                }
+                correlations[lag] = sum / energy * n / (n - lag);
+            }
+
+            // The first peak is the period; a faster tremor peaks before the band and doesn't count
+            const lag = correlations.findIndex((peak, i) => i > 0 && i <= maxLag &&
+                peak >= this.VIBRATO_MIN_CORRELATION && peak >= correlations[i - 1] && peak >= correlations[i + 1]);
+            if (lag < minLag || (best && correlations[lag] <= best.correlation)) {
+                continue;
+            }
+
+            // Parabolic interpolation between lags for a finer rate
+            const [before, peak, after] = [correlations[lag - 1], correlations[lag], correlations[lag + 1]];
+            const curvature = before - 2 * peak + after;
+            const offset = curvature < 0 ? (before - after) / (2 * curvature) : 0;
+            best = { correlation: peak, rate: sampleRate / (lag + offset), depth };
+        }
+
+        return best && best.rate >= this.VIBRATO_MIN_RATE && best.rate <= this.VIBRATO_MAX_RATE ?
+            { rate: best.rate, depth: best.depth } : null;
+    }
+
+    // Subtract a moving average one slowest-vibrato period long: keeps the vibrato, drops the slower bowing
+    removeSlowMotion(values, windowSamples) {
+        const half = Math.round(windowSamples / 2);
+        return values.map((value, i) => {
+            const from = Math.max(0, i - half);
+            const to = Math.min(values.length, i + half + 1);
+            let sum = 0;
+            for (let k = from; k < to; k++) {
+                sum += values[k];
+            }
+            return value - sum / (to - from);
+        });
+    }
+
+    // Detune LFO for a new MIDI note (violin sample or sine), ending with the note
+    attachMidiVibrato(detuneParam, duration) {
+        const context = this.midiAudioContext;
+        const lfo = context.createOscillator();
+        const depth = context.createGain();
+        lfo.frequency.value = this.vibrato.rate || this.VIBRATO_DEFAULT_RATE;
+        depth.gain.value = this.vibrato.cents;
+
+        lfo.connect(depth);
+        depth.connect(detuneParam);
+        lfo.start();
+        lfo.stop(context.currentTime + duration / 1000);
+        this.midiVibrato = { lfo, depth };
+    }
+
+    // Follow the detected rate and depth on whatever is playing
+    updateVibratoAudio() {
+        const rate = this.vibrato.rate || this.VIBRATO_DEFAULT_RATE;
+
+        if (this.midiVibrato) {
+            const time = this.midiAudioContext.currentTime;
+            this.midiVibrato.lfo.frequency.setTargetAtTime(rate, time, 0.05);
+            this.midiVibrato.depth.gain.setTargetAtTime(this.vibrato.cents, time, 0.05);
+        }
+
+        if (this.mp3Vibrato) {
+            const time = this.audioContext.currentTime;
+            this.mp3Vibrato.lfo.frequency.setTargetAtTime(rate, time, 0.05);
+            this.mp3Vibrato.depth.gain.setTargetAtTime(this.getVibratoDelaySwing(rate), time, 0.05);
+        }
+    }
+
+    // Delay swing (s) whose Doppler shift bends the pitch by the vibrato's cents at this rate
+    getVibratoDelaySwing(rate) {
+        const swing = (Math.pow(2, this.vibrato.cents / 1200) - 1) / (2 * Math.PI * rate);
+        return Math.min(swing, this.MP3_VIBRATO_BASE_DELAY * 0.9);
+    }
+
+    // MP3 gain → vibrato delay → speakers when enabled, otherwise gain → speakers
+    routeMp3Vibrato() {
+        if (!this.audioGainNode) {
+            return;
+        }
+
+        this.audioGainNode.disconnect();
+        if (!this.mp3VibratoEnabled) {
+            this.audioGainNode.connect(this.audioContext.destination);
+            return;
+        }
+
+        if (!this.mp3Vibrato) {
+            const delay = this.audioContext.createDelay(0.05);
+            const lfo = this.audioContext.createOscillator();
+            const depth = this.audioContext.createGain();
+            delay.delayTime.value = this.MP3_VIBRATO_BASE_DELAY;
+            depth.gain.value = 0;
+            lfo.frequency.value = this.VIBRATO_DEFAULT_RATE;
+
+            lfo.connect(depth);
+            depth.connect(delay.delayTime);
+            delay.connect(this.audioContext.destination);
+            lfo.start();
+            this.mp3Vibrato = { delay, lfo, depth };
+        }
+        this.audioGainNode.connect(this.mp3Vibrato.delay);
+    }
+
+    async setMp3VibratoEnabled(enabled) {
+        this.mp3VibratoEnabled = enabled;
+        this.saveVibratoSettings();
+
+        // The delay line needs the MP3 in the Web Audio graph, so volume moves to its gain node as well
+        if (enabled && !this.usingWebAudioVolume) {
+            this.needsWebAudioVolume = true;
+            if (this.audioElement.src && await this.setupWebAudioVolume()) {
+                this.audioElement.volume = 1;
+            }
+        }
+        this.routeMp3Vibrato();
+        console.log(`〰️ MP3 vibrato effect ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    updateVibratoDisplay() {
+        const vibrato = this.vibrato;
+        const element = document.getElementById('vibratoReadout');
+        element.textContent = vibrato.active ?
+            `${vibrato.rate.toFixed(1)} Hz · ±${Math.round(vibrato.depth)} deg/s · ±${Math.round(vibrato.cents)} cents` :
+            '-';
+        element.classList.toggle('vibrato-active', vibrato.active);
+    }
+
+    // ===== ACCENTS =====
+
+    // Recent gravity-free acceleration, so a stroke's onset can look back at how it started
+    updateAccentDetector(imuData) {
+        const now = Date.now();
+        const linear = imuData.linearAccel;
+        const magnitude = Math.sqrt(linear.x * linear.x + linear.y * linear.y + linear.z * linear.z);
+
+        // Without gravity removal the sensor reads ~1 g at rest
+        const accel = this.gravityCompensation === 'off' ? Math.abs(magnitude - 1) : magnitude;
+        this.accentSamples.push({ time: now, accel });
+        while (now - this.accentSamples[0].time > this.ACCENT_WINDOW_MS) {
+            this.accentSamples.shift();
+        }
+    }
+
+    // Attack strength of a stroke from the acceleration peak just before its onset (a strokestart subscriber)
+    detectAccent(event) {
+        const peakAccel = Math.max(0, ...this.accentSamples.map(s => s.accel));
+        const strength = Math.min(Math.max(
+            (peakAccel - this.ACCENT_MIN_ACCEL) * this.accentSensitivity / this.ACCENT_FULL_ACCEL, 0), 1);
+
+        document.getElementById('lastAccent').textContent = strength > 0 ?
+            `${Math.round(strength * 100)}% (${peakAccel.toFixed(2)} g)` :
+            `soft (${peakAccel.toFixed(2)} g)`;
+
+        if (strength === 0) {
+            return;
+        }
+        this.emit('accent', { strength, peakAccel, direction: event.direction, time: event.time });
+        this.applyAccent(strength);
+    }
+
+    applyAccent(strength) {
+        const now = Date.now();
+        if (!this.isTestPlaying) {
+            this.mp3Swell = { strength, time: now };
+        }
+
+        // The note may already have started on this stroke, otherwise the next one gets the accent
+        if (this.currentMidiGainNode && now - this.currentMidiNoteStart <= this.ACCENT_NOTE_WINDOW_MS) {
+            this.applyAccentEnvelope(this.currentMidiGainNode, this.currentMidiVolume, strength);
+            this.pendingAccent = null;
+        } else {
+            this.pendingAccent = { strength, time: now };
+        }
+    }
+
+    // Strength of an accent waiting for a note that starts now (0 if none, or it came too long ago)
+    takePendingAccent() {
+        const accent = this.pendingAccent;
+        this.pendingAccent = null;
+        return accent && Date.now() - accent.time <= this.ACCENT_NOTE_WINDOW_MS ? accent.strength : 0;
+    }
+
+    // Louder start that settles back to the note's motion-based volume
+    applyAccentEnvelope(gainNode, volume, strength) {
+        const time = this.midiAudioContext.currentTime;
+        const peak = volume * (1 + this.ACCENT_GAIN_BOOST * strength);
+
+        gainNode.gain.cancelScheduledValues(time);
+        gainNode.gain.setValueAtTime(Math.max(peak, 0.001), time);
+        gainNode.gain.setTargetAtTime(Math.max(volume, 0.001), time + this.ACCENT_HOLD_MS / 1000, this.ACCENT_DECAY_MS / 3000);
+    }
+
+    // MP3 level multiplier: a short swell after an accent (sine hump), otherwise 1
+    getAccentSwell() {
+        if (!this.mp3Swell) {
+            return 1;
+        }
+
+        const progress = (Date.now() - this.mp3Swell.time) / this.ACCENT_SWELL_MS;
+        if (progress >= 1) {
+            this.mp3Swell = null;
+            return 1;
+        }
+        return 1 + this.ACCENT_MP3_SWELL * this.mp3Swell.strength * Math.sin(Math.PI * progress);
+    }
+
+    // Level actually written to the MP3 output for a volume: raised by any swell in progress, at most full level.
+    // Applied after volume smoothing and not reported to the device; forced and test playback levels stay as set
+    getMp3OutputLevel(volume, isForceSet = false) {
+        if (isForceSet || this.isTestPlaying) {
+            return volume;
+        }
+        return Math.min(volume * this.getAccentSwell(), 1);
+    }
+
+    // ===== TEMPO MODE =====
+
+    // MP3 playback rate from bow speed, smoothed so the tempo doesn't jitter
+    updatePlaybackTempo() {
+        const state = this.tempoState;
+        const dt = this.getMotionFilterTimeStep(state, this.imuData.timestampUs);
+        const active = this.tempoModeEnabled && this.playbackMode === 'MP3' && this.isImuPlaying && !this.isTestPlaying;
+
+        if (!active) {
+            state.rate = 1;
+        } else {
+            // Below the threshold the track fades out anyway, so it keeps the tempo it had
+            const normalizedSpeed = Math.min(this.motionSpeed / this.maxMotionSpeed, 1.0);
+            if (normalizedSpeed >= this.motionThreshold && dt !== null) {
+                const progress = this.motionThreshold < 1 ? (normalizedSpeed - this.motionThreshold) / (1 - this.motionThreshold) : 1;
+                const targetRate = this.tempoMinRate + (this.tempoMaxRate - this.tempoMinRate) * progress;
+                state.rate += (1 - Math.exp(-dt * 1000 / this.tempoSmoothingMs)) * (targetRate - state.rate);
+            }
+        }
+
+        this.applyPlaybackRate(state.rate);
+    }
+
+    applyPlaybackRate(rate) {
+        // Each change restarts the browser's time-stretching, so only visible steps are applied
+        const rounded = Math.round(rate * 100) / 100;
+        if (this.audioElement.playbackRate !== rounded) {
+            this.audioElement.playbackRate = rounded;
+        }
+        document.getElementById('playbackRateValue').textContent = `${rounded.toFixed(2)}×`;
+    }
+
+    setTempoModeEnabled(enabled) {
+        this.tempoModeEnabled = enabled;
+        this.tempoState.rate = 1;
+        this.applyPlaybackRate(1);
+        this.saveTempoSettings();
+        console.log(`⏩ Tempo follows bow speed: ${enabled ? 'on' : 'off'}`);
+    }
+
+    renderTempoSettings() {
+        document.getElementById('tempoModeToggle').checked = this.tempoModeEnabled;
+        document.getElementById('tempoMinRateSlider').value = this.tempoMinRate;
+        document.getElementById('tempoMinRateValue').textContent = this.tempoMinRate.toFixed(2);
+        document.getElementById('tempoMaxRateSlider').value = this.tempoMaxRate;
+        document.getElementById('tempoMaxRateValue').textContent = this.tempoMaxRate.toFixed(2);
+        document.getElementById('tempoSmoothingSlider').value = this.tempoSmoothingMs;
+        document.getElementById('tempoSmoothingValue').textContent = this.tempoSmoothingMs;
+    }
+
+    // ===== GESTURES =====
+
+    // Feature vector of one sample: rotation, gravity-free acceleration (raw with gravity removal off) and pose,
+    // scaled to similar ranges
+    getGestureFeatures(imuData) {
+        const linear = imuData.linearAccel;
+        return [
+            imuData.gx / 200,
+            imuData.gy / 200,
+            imuData.gz / 200,
+            linear.x,
+            linear.y,
+            linear.z,
+            this.orientation.pitch / 45,
+            this.orientation.roll / 90
+        ];
+    }
+
+    // Called for every bow sample: feeds recording and live matching
+    updateGestures(imuData) {
+        const now = Date.now();
+        this.gestureBuffer.push({ time: now, features: this.getGestureFeatures(imuData) });
+        while (this.gestureBuffer.length > 0 && now - this.gestureBuffer[0].time > this.GESTURE_BUFFER_MS) {
+            this.gestureBuffer.shift();
+        }
+
+        if (this.gestureRecording) {
+            this.collectGestureSample(now);
+            return;
+        }
+
+        if (!this.gestureRecognitionEnabled ||
+            now - this.lastGestureCheck < this.GESTURE_CHECK_INTERVAL_MS ||
+            now - this.lastGestureTime < this.GESTURE_COOLDOWN_MS) {
+            return;
+        }
+        this.lastGestureCheck = now;
+        this.recognizeGesture(now);
+    }
+
+    // Compare the recent stream with every trained gesture and run the closest match
+    recognizeGesture(now) {
+        let best = null;
+
+        this.gestures.forEach(gesture => {
+            if (gesture.templates.length === 0) {
+                return;
+            }
+
+            // Window as long as this gesture usually takes
+            const windowMs = gesture.templates.reduce((sum, t) => sum + t.duration, 0) / gesture.templates.length;
+            const windowSamples = this.gestureBuffer.filter(s => now - s.time <= windowMs);
+            if (windowSamples.length < this.GESTURE_MIN_SAMPLES) {
+                return;
+            }
+
+            // Movements only match while moving, held poses only while still
+            const isPose = gesture.templates.every(t => t.pose);
+            if (windowSamples.some(s => this.isGestureSampleActive(s)) === isPose) {
+                if (gesture.id === this.heldPoseId) {
+                    this.heldPoseId = null;
+                }
+                return;
+            }
+
+            const recent = this.resampleGesture(windowSamples.map(s => s.features));
+            const distance = Math.min(...gesture.templates.map(t => this.dtwDistance(recent, t.points)));
+
+            // A pose runs its action once per hold, not every cooldown while it is held
+            if (gesture.id === this.heldPoseId) {
+                if (distance > this.gestureThreshold) {
+                    this.heldPoseId = null;
+                }
+                return;
+            }
+
+            if (!best || distance < best.distance) {
+                best = { gesture, distance };
+            }
+        });
+
+        if (best && best.distance <= this.gestureThreshold) {
+            this.runGesture(best.gesture, best.distance);
+        }
+    }
+
+    runGesture(gesture, distance) {
+        const action = this.GESTURE_ACTIONS[gesture.action] || this.GESTURE_ACTIONS.none;
+        this.lastGestureTime = Date.now();
+        this.gestureBuffer = []; // The same movement must not match twice
+        this.heldPoseId = gesture.templates.every(t => t.pose) ? gesture.id : null;
+
+        console.log(`👋 Gesture "${gesture.name}" recognized (distance ${distance.toFixed(2)}) → ${action.label}`);
+        document.getElementById('gestureStatus').textContent = `Recognized "${gesture.name}" → ${action.label}`;
+        this.emit('gesture', { name: gesture.name, action: gesture.action, distance });
+        action.run();
+    }
+
+    // Dynamic time warping distance between two sequences, per point (feature units)
+    dtwDistance(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const band = Math.max(Math.ceil(Math.max(n, m) * this.GESTURE_DTW_BAND), Math.abs(n - m));
+        const distance = (p, q) => Math.sqrt(p.reduce((sum, value, k) => sum + (value - q[k]) ** 2, 0));
+
+        let previous = new Array(m + 1).fill(Infinity);
+        previous[0] = 0;
+        for (let i = 1; i <= n; i++) {
+            const current = new Array(m + 1).fill(Infinity);
+            for (let j = Math.max(1, i - band); j <= Math.min(m, i + band); j++) {
+                current[j] = distance(a[i - 1], b[j - 1]) + Math.min(previous[j], current[j - 1], previous[j - 1]);
+            }
+            previous = current;
+        }
+        return previous[m] / Math.max(n, m);
+    }
+
+    // Linear interpolation to a fixed number of points, so gestures of any length compare cheaply
+    resampleGesture(sequence) {
+        const points = [];
+        for (let i = 0; i < this.GESTURE_POINTS; i++) {
+            const position = i * (sequence.length - 1) / (this.GESTURE_POINTS - 1);
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, sequence.length - 1);
+            const fraction = position - index;
+            points.push(sequence[index].map((value, k) => value + (sequence[next][k] - value) * fraction));
+        }
+        return points;
+    }
+
+    addGesture(name, action) {
+        const gesture = {
+            id: `gesture-${Date.now()}-${Math.floor(Math.random() * 1e6)}`,
+            name: name.trim() || `Gesture ${this.gestures.length + 1}`,
+            action,
+            templates: [] // [{points, duration}]
+        };
+        this.gestures.push(gesture);
+        this.saveGestures();
+        this.renderGestures();
+        console.log(`👋 Gesture "${gesture.name}" added - record a few examples`);
+    }
+
+    removeGesture(gestureId) {
+        if (this.gestureRecording && this.gestureRecording.gestureId === gestureId) {
+            this.gestureRecording = null;
+        }
+        this.gestures = this.gestures.filter(g => g.id !== gestureId);
+        this.saveGestures();
+        this.renderGestures();
+    }
+
+    setGestureAction(gestureId, action) {
+        const gesture = this.gestures.find(g => g.id === gestureId);
+        gesture.action = action;
+        this.saveGestures();
+    }
+
+    // Record one example after a short countdown
+    startGestureRecording(gestureId) {
+        if (this.getConnectedRoles().length === 0) {
+            alert('Connect a sensor before recording gestures.');
+            return;
+        }
+
+        this.gestureRecording = { gestureId, startTime: Date.now() + this.GESTURE_COUNTDOWN_MS, samples: [] };
+        this.updateGestureRecordingStatus();
+    }
+
+    collectGestureSample(now) {
+        const recording = this.gestureRecording;
+        const elapsed = now - recording.startTime;
+
+        if (elapsed >= 0) {
+            recording.samples.push(this.gestureBuffer[this.gestureBuffer.length - 1]);
+        }
+        this.updateGestureRecordingStatus();
+
+        if (elapsed >= this.GESTURE_RECORD_MS) {
+            this.gestureRecording = null;
+            this.finishGestureRecording(recording);
+        }
+    }
+
+    // Drop an example whose samples stopped coming (disconnect or new stream)
+    cancelGestureRecording() {
+        if (!this.gestureRecording) {
+            return;
+        }
+        this.gestureRecording = null;
+        document.getElementById('gestureStatus').textContent = 'Recording cancelled - sensor data stopped';
+        console.log('👋 Gesture recording cancelled');
+    }
+
+    finishGestureRecording(recording) {
+        const gesture = this.gestures.find(g => g.id === recording.gestureId);
+        const samples = this.trimGestureExample(recording.samples);
+
+        if (samples.length < this.GESTURE_MIN_SAMPLES) {
+            document.getElementById('gestureStatus').textContent = 'Not enough sensor data - try again';
+            return;
+        }
+
+        gesture.templates.push({
+            points: this.resampleGesture(samples.map(s => s.features)),
+            duration: samples[samples.length - 1].time - samples[0].time,
+            pose: !samples.some(s => this.isGestureSampleActive(s)) // Held still (e.g. bow raised)
+        });
+        if (gesture.templates.length > this.GESTURE_MAX_TEMPLATES) {
+            gesture.templates.shift();
+        }
+
+        this.saveGestures();
+        this.renderGestures();
+        document.getElementById('gestureStatus').textContent =
+            `Recorded example ${gesture.templates.length} of "${gesture.name}"`;
+        console.log(`👋 Recorded "${gesture.name}" example (${samples.length} samples)`);
+    }
+
+    isGestureSampleActive(sample) {
+        const [gx, gy, gz, ax, ay, az] = sample.features;
+        const accel = Math.hypot(ax, ay, az);
+
+        // Without gravity removal the acceleration features read ~1 g at rest
+        const linear = this.gravityCompensation === 'off' ? Math.abs(accel - 1) : accel;
+        return Math.hypot(gx, gy, gz, linear) > this.GESTURE_ACTIVITY_THRESHOLD;
+    }
+
+    // Drop the still parts before and after a movement; poses without movement are kept whole
+    trimGestureExample(samples) {
+        const first = samples.findIndex(s => this.isGestureSampleActive(s));
+        if (first === -1) {
+            return samples;
+        }
+
+        let last = samples.length - 1;
+        while (!this.isGestureSampleActive(samples[last])) {
+            last--;
+        }
+        return samples.slice(Math.max(first - 2, 0), last + 3);
+    }
+
+    updateGestureRecordingStatus() {
+        const recording = this.gestureRecording;
+        const gesture = this.gestures.find(g => g.id === recording.gestureId);
+        const elapsed = Date.now() - recording.startTime;
+
+        document.getElementById('gestureStatus').textContent = elapsed < 0 ?
+            `Get ready to perform "${gesture.name}" in ${Math.ceil(-elapsed / 1000)}s...` :
+            `Recording "${gesture.name}"... ${((this.GESTURE_RECORD_MS - elapsed) / 1000).toFixed(1)}s`;
+    }
+
+    renderGestures() {
+        const list = document.getElementById('gestureList');
+        list.innerHTML = '';
+
+        this.gestures.forEach(gesture => {
+            const item = document.createElement('div');
+            item.className = 'gesture-item';
+            item.innerHTML = `
+                <span class="gesture-name">${this.escapeHtml(gesture.name)}</span>
+                <span class="gesture-examples">${gesture.templates.length} example${gesture.templates.length === 1 ? '' : 's'}</span>
+            `;
+
+            const actionSelect = document.createElement('select');
+            actionSelect.className = 'select-input';
+            actionSelect.innerHTML = this.getGestureActionOptions();
+            actionSelect.value = gesture.action;
+            actionSelect.addEventListener('change', () => this.setGestureAction(gesture.id, actionSelect.value));
+            item.appendChild(actionSelect);
+
+            const recordBtn = document.createElement('button');
+            recordBtn.className = 'btn btn-secondary btn-small';
+            recordBtn.textContent = 'Record Example';
+            recordBtn.addEventListener('click', () => this.startGestureRecording(gesture.id));
+            item.appendChild(recordBtn);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary btn-small';
+            removeBtn.textContent = 'Delete';
+            removeBtn.addEventListener('click', () => this.removeGesture(gesture.id));
+            item.appendChild(removeBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    getGestureActionOptions() {
+        return Object.entries(this.GESTURE_ACTIONS)
+            .map(([action, { label }]) => `<option value="${action}">${label}</option>`)
+            .join('');
+    }
+
+    // ===== MOTION FILTER =====
+
+    // Fresh filter state for the selected algorithm (one per motion stream)
+    createMotionFilter() {
+        return {
+            type: this.motionFilterType,
+            value: null,
+            lastTimestampUs: null,
+            lastTime: null,
+            samples: [], // Moving average: [{value, time}] in seconds
+            derivative: 0, // One-Euro: smoothed rate of change
+            variance: 0 // Kalman: estimate variance
+        };
+    }
+
+    resetMotionFilters() {
+        this.motionFilter = this.createMotionFilter();
+        this.motionSpeed = 0;
+        this.rawMotionSpeed = 0;
+        Object.values(this.deviceStates).forEach(state => {
+            state.motionFilter = this.createMotionFilter();
+        });
+    }
+
+    // Smooth one combined-motion value; the time step comes from the device clock when frames carry it
+    filterMotion(filter, value, timestampUs) {
+        const dt = this.getMotionFilterTimeStep(filter, timestampUs);
+
+        // First sample or a long gap: start over from the measurement
+        if (filter.value === null || dt === null) {
+            filter.value = value;
+            filter.samples = [{ value, time: 0 }];
+            filter.derivative = 0;
+            filter.variance = 0;
+            return value;
+        }
+
+        const params = this.motionFilterParams[filter.type];
+        switch (filter.type) {
+            case 'exponential':
+                filter.value += (1 - Math.exp(-dt * 1000 / params.timeConstantMs)) * (value - filter.value);
+                break;
+            case 'oneEuro':
+                filter.value = this.oneEuroFilterUpdate(filter, value, dt, params);
+                break;
+            case 'kalman':
+                filter.value = this.kalmanFilterUpdate(filter, value, dt, params);
+                break;
+            default:
+                filter.value = this.movingAverageFilterUpdate(filter, value, dt, params);
+        }
+        return filter.value;
+    }
+
+    // Seconds since the filter's previous sample, null after a gap long enough to restart
+    getMotionFilterTimeStep(filter, timestampUs) {
+        let dt = null;
+
+        if (timestampUs !== undefined) {
+            if (filter.lastTimestampUs !== null) {
+                dt = ((timestampUs - filter.lastTimestampUs + 4294967296) % 4294967296) / 1000000;
+            }
+            filter.lastTimestampUs = timestampUs;
+        } else {
+            const now = performance.now();
+            if (filter.lastTime !== null) {
+                dt = (now - filter.lastTime) / 1000;
+            }
+            filter.lastTime = now;
+        }
+
+        if (dt === null || dt > this.MOTION_FILTER_MAX_GAP) {
+            return null;
+        }
+        // Duplicate timestamps (e.g. two BLE notifications in one connection event)
+        return dt > 0 ? dt : this.NOMINAL_SAMPLE_INTERVAL;
+    }
+
+    // Average over a time window rather than a sample count, so lag doesn't depend on the packet rate
+    movingAverageFilterUpdate(filter, value, dt, params) {
+        const time = filter.samples[filter.samples.length - 1].time + dt;
+        filter.samples.push({ value, time });
+        while (time - filter.samples[0].time > params.windowMs / 1000) {
+            filter.samples.shift();
+        }
+        return filter.samples.reduce((sum, s) => sum + s.value, 0) / filter.samples.length;
+    }
+
+    // One-Euro filter (Casiez et al.): heavy smoothing at rest, less lag when the speed changes fast
+    oneEuroFilterUpdate(filter, value, dt, params) {
+        const smoothingFactor = (cutoff) => {
+            const tau = 1 / (2 * Math.PI * cutoff);
+            return 1 / (1 + tau / dt);
+        };
+
+        const derivative = (value - filter.value) / dt;
+        filter.derivative += smoothingFactor(params.derivativeCutoff) * (derivative - filter.derivative);
+
+        const cutoff = params.minCutoff + params.beta * Math.abs(filter.derivative);
+        return filter.value + smoothingFactor(cutoff) * (value - filter.value);
+    }
+
+    // 1D Kalman filter with a random-walk model: process noise grows with the time step
+    kalmanFilterUpdate(filter, value, dt, params) {
+        const predictedVariance = filter.variance + params.processNoise * dt;
+        const gain = predictedVariance / (predictedVariance + params.measurementNoise);
+        filter.variance = (1 - gain) * predictedVariance;
+        return filter.value + gain * (value - filter.value);
+    }
+
+    setMotionFilterType(type) {
+        this.motionFilterType = type;
+        this.resetMotionFilters();
+        this.renderMotionFilterParams();
+        this.saveMotionFilterSettings();
+        console.log(`📉 Motion filter: ${this.MOTION_FILTERS[type].label}`);
+    }
+
+    // Sliders for the selected filter's parameters
+    renderMotionFilterParams() {
+        const container = document.getElementById('motionFilterParams');
+        const definitions = this.MOTION_FILTERS[this.motionFilterType].params;
+        const values = this.motionFilterParams[this.motionFilterType];
+        container.innerHTML = '';
+
+        Object.entries(definitions).forEach(([name, definition]) => {
+            const control = document.createElement('div');
+            control.className = 'slider-control';
+            control.innerHTML = `
+                <label>${definition.label}: <span class="motion-filter-value">${values[name]}</span>${definition.unit}</label>
+                <input type="range" class="slider" min="${definition.min}" max="${definition.max}" step="${definition.step}" value="${values[name]}">
+            `;
+
+            const slider = control.querySelector('input');
+            slider.addEventListener('input', () => {
+                values[name] = parseFloat(slider.value);
+                control.querySelector('.motion-filter-value').textContent = slider.value;
+            });
+            slider.addEventListener('change', () => this.saveMotionFilterSettings());
+
+            container.appendChild(control);
+        });
+    }
+
+    // ===== ORIENTATION (SENSOR FUSION) =====
+
+    resetOrientation() {
+        this.orientationQuaternion = [1, 0, 0, 0];
+        this.orientation = { roll: 0, pitch: 0, yaw: 0 };
+        this.orientationInitialized = false;
+        this.lastOrientationTimestampUs = null;
+        this.lastOrientationTime = null;
+        this.mahonyIntegral = [0, 0, 0];
+    }
+
+    // Integrate one sample (g, deg/s) into the bow quaternion and refresh roll/pitch/yaw
+    updateOrientation(imuData) {
+        const dt = this.getFusionTimeStep(imuData);
+
+        // Start from the gravity direction so roll and pitch are right immediately
+        if (!this.orientationInitialized) {
+            this.orientationQuaternion = this.quaternionFromAccel(imuData);
+            this.orientationInitialized = true;
+        } else if (this.fusionAlgorithm === 'mahony') {
+            this.mahonyUpdate(imuData, dt);
+        } else {
+            this.madgwickUpdate(imuData, dt);
+        }
+
+        this.orientation = this.quaternionToEuler(this.orientationQuaternion);
+    }
+
+    // Seconds since the previous sample, from device timestamps when frames carry them
+    getFusionTimeStep(imuData) {
+        let dt = null;
+
+        if (imuData.timestampUs !== undefined) {
+            if (this.lastOrientationTimestampUs !== null) {
+                // uint32 microseconds wrap every ~71 minutes
+                dt = ((imuData.timestampUs - this.lastOrientationTimestampUs + 4294967296) % 4294967296) / 1000000;
+            }
+            this.lastOrientationTimestampUs = imuData.timestampUs;
+        } else {
+            const now = performance.now();
+            if (this.lastOrientationTime !== null) {
+                dt = (now - this.lastOrientationTime) / 1000;
+            }
+            this.lastOrientationTime = now;
+        }
+
+        // First sample, gaps and clock glitches use the nominal rate
+        if (dt === null || dt <= 0 || dt > this.MAX_FUSION_DT) {
+            const rate = this.deviceInfo && this.deviceInfo.sampleRate;
+            return rate ? 1 / rate : this.NOMINAL_SAMPLE_INTERVAL;
+        }
+        return dt;
+    }
+
+    quaternionFromAccel(imuData) {
+        const roll = Math.atan2(imuData.ay, imuData.az);
+        const pitch = Math.atan2(-imuData.ax, Math.sqrt(imuData.ay * imuData.ay + imuData.az * imuData.az));
+
+        const cr = Math.cos(roll / 2), sr = Math.sin(roll / 2);
+        const cp = Math.cos(pitch / 2), sp = Math.sin(pitch / 2);
+        return [cr * cp, sr * cp, cr * sp, -sr * sp];
+    }
+
+    // Madgwick gradient-descent filter, IMU (gyro + accel) variant
+    madgwickUpdate(imuData, dt) {
+        let [q0, q1, q2, q3] = this.orientationQuaternion;
+        const toRad = Math.PI / 180;
+        const gx = imuData.gx * toRad, gy = imuData.gy * toRad, gz = imuData.gz * toRad;
+
+        // Rate of change from the gyroscope
+        let qDot0 = 0.5 * (-q1 * gx - q2 * gy - q3 * gz);
+        let qDot1 = 0.5 * (q0 * gx + q2 * gz - q3 * gy);
+        let qDot2 = 0.5 * (q0 * gy - q1 * gz + q3 * gx);
+        let qDot3 = 0.5 * (q0 * gz + q1 * gy - q2 * gx);
+
+        // Correct towards gravity (skipped in free fall)
+        const norm = Math.sqrt(imuData.ax * imuData.ax + imuData.ay * imuData.ay + imuData.az * imuData.az);
+        if (norm > 0) {
+            const ax = imuData.ax / norm, ay = imuData.ay / norm, az = imuData.az / norm;
+
+            const _2q0 = 2 * q0, _2q1 = 2 * q1, _2q2 = 2 * q2, _2q3 = 2 * q3;
+            const _4q0 = 4 * q0, _4q1 = 4 * q1, _4q2 = 4 * q2;
+            const _8q1 = 8 * q1, _8q2 = 8 * q2;
+            const q0q0 = q0 * q0, q1q1 = q1 * q1, q2q2 = q2 * q2, q3q3 = q3 * q3;
+
+            let s0 = _4q0 * q2q2 + _2q2 * ax + _4q0 * q1q1 - _2q1 * ay;
+            let s1 = _4q1 * q3q3 - _2q3 * ax + 4 * q0q0 * q1 - _2q0 * ay - _4q1 + _8q1 * q1q1 + _8q1 * q2q2 + _4q1 * az;
+            let s2 = 4 * q0q0 * q2 + _2q0 * ax + _4q2 * q3q3 - _2q3 * ay - _4q2 + _8q2 * q1q1 + _8q2 * q2q2 + _4q2 * az;
+            let s3 = 4 * q1q1 * q3 - _2q1 * ax + 4 * q2q2 * q3 - _2q2 * ay;
+
+            const sNorm = Math.sqrt(s0 * s0 + s1 * s1 + s2 * s2 + s3 * s3);
+            if (sNorm > 0) {
+                s0 /= sNorm; s1 /= sNorm; s2 /= sNorm; s3 /= sNorm;
+                qDot0 -= this.MADGWICK_BETA * s0;
+                qDot1 -= this.MADGWICK_BETA * s1;
+                qDot2 -= this.MADGWICK_BETA * s2;
+                qDot3 -= this.MADGWICK_BETA * s3;
+            }
+        }
+
+        q0 += qDot0 * dt;
+        q1 += qDot1 * dt;
+        q2 += qDot2 * dt;
+        q3 += qDot3 * dt;
+        this.orientationQuaternion = this.normalizeQuaternion([q0, q1, q2, q3]);
+    }
+
+    // Mahony complementary filter (PI feedback on the gravity error)
+    mahonyUpdate(imuData, dt) {
+        let [q0, q1, q2, q3] = this.orientationQuaternion;
+        const toRad = Math.PI / 180;
+        let gx = imuData.gx * toRad, gy = imuData.gy * toRad, gz = imuData.gz * toRad;
+
+        const norm = Math.sqrt(imuData.ax * imuData.ax + imuData.ay * imuData.ay + imuData.az * imuData.az);
+        if (norm > 0) {
+            const ax = imuData.ax / norm, ay = imuData.ay / norm, az = imuData.az / norm;
+
+            // Estimated gravity direction (half) and its error against the measurement
+            const halfvx = q1 * q3 - q0 * q2;
+            const halfvy = q0 * q1 + q2 * q3;
+            const halfvz = q0 * q0 - 0.5 + q3 * q3;
+            const halfex = ay * halfvz - az * halfvy;
+            const halfey = az * halfvx - ax * halfvz;
+            const halfez = ax * halfvy - ay * halfvx;
+
+            if (this.MAHONY_KI > 0) {
+                this.mahonyIntegral[0] += 2 * this.MAHONY_KI * halfex * dt;
+                this.mahonyIntegral[1] += 2 * this.MAHONY_KI * halfey * dt;
+                this.mahonyIntegral[2] += 2 * this.MAHONY_KI * halfez * dt;
+                gx += this.mahonyIntegral[0];
+                gy += this.mahonyIntegral[1];
+                gz += this.mahonyIntegral[2];
+            }
+
+            gx += 2 * this.MAHONY_KP * halfex;
+            gy += 2 * this.MAHONY_KP * halfey;
+            gz += 2 * this.MAHONY_KP * halfez;
+        }
+
+        gx *= 0.5 * dt;
+        gy *= 0.5 * dt;
+        gz *= 0.5 * dt;
+        const qa = q0, qb = q1, qc = q2;
+        q0 += -qb * gx - qc * gy - q3 * gz;
+        q1 += qa * gx + qc * gz - q3 * gy;
+        q2 += qa * gy - qb * gz + q3 * gx;
+        q3 += qa * gz + qb * gy - qc * gx;
+        this.orientationQuaternion = this.normalizeQuaternion([q0, q1, q2, q3]);
+    }
+
+    normalizeQuaternion(q) {
+        const norm = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]);
+        return norm > 0 ? q.map(v => v / norm) : [1, 0, 0, 0];
+    }
+
+    // Roll (about X), pitch (about Y), yaw (about Z) in degrees
+    quaternionToEuler([q0, q1, q2, q3]) {
+        const toDeg = 180 / Math.PI;
+        const sinPitch = Math.max(-1, Math.min(1, 2 * (q0 * q2 - q3 * q1)));
+        return {
+            roll: Math.atan2(2 * (q0 * q1 + q2 * q3), 1 - 2 * (q1 * q1 + q2 * q2)) * toDeg,
+            pitch: Math.asin(sinPitch) * toDeg,
+            yaw: Math.atan2(2 * (q0 * q3 + q1 * q2), 1 - 2 * (q2 * q2 + q3 * q3)) * toDeg
+        };
+    }
+
+    // Gravity direction (unit vector, g) in sensor axes from the fused orientation
+    getGravityDirection() {
+        const [q0, q1, q2, q3] = this.orientationQuaternion;
+        return {
+            x: 2 * (q1 * q3 - q0 * q2),
+            y: 2 * (q0 * q1 + q2 * q3),
+            z: q0 * q0 - q1 * q1 - q2 * q2 + q3 * q3
+        };
+    }
+
+    // ===== IMU MAPPING =====
+
+    // Device units and axes -> player axes in g and deg/s
+    applyImuMapping(sample, mapping = this.imuMapping, deviceInfo = this.deviceInfo) {
+        const deviceUnits = deviceInfo ? deviceInfo.units : { accel: 'g', gyro: 'dps' };
+        const accelUnit = mapping.accelUnit === 'auto' ? deviceUnits.accel : mapping.accelUnit;
+        const gyroUnit = mapping.gyroUnit === 'auto' ? deviceUnits.gyro : mapping.gyroUnit;
+
+        const accelScale = accelUnit === 'ms2' ? 1 / this.STANDARD_GRAVITY : 1;
+        const gyroScale = gyroUnit === 'rads' ? 180 / Math.PI : 1;
+
+        const mapped = { ...sample }; // Keeps extra fields such as timestampUs
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            const source = mapping.axes[i];
+            const sign = source.startsWith('-') ? -1 : 1;
+            const sourceAxis = source.replace('-', '');
+            mapped[`a${axis}`] = sign * sample[`a${sourceAxis}`] * accelScale;
+            mapped[`g${axis}`] = sign * sample[`g${sourceAxis}`] * gyroScale;
+        });
+        return mapped;
+    }
+
+    setImuMapping(mapping) {
+        this.imuMapping = mapping;
+        this.renderImuMappingForm();
+    }
+
+    // Extra sensors keep their own profile, keyed like the main connection
+    getExtraDeviceKey(entry) {
+        return this.getConnectionKey({ type: 'ble', deviceId: entry.device.id });
+    }
+
+    getExtraDeviceMapping(entry) {
+        return this.deviceMappings[this.getExtraDeviceKey(entry)] || this.DEFAULT_IMU_MAPPING;
+    }
+
+    // Mapping of the device that drives audio: bow axis and bowing rotation come from its axes
+    getDrivingMapping() {
+        const role = this.getDrivingRole();
+        const entry = role === this.primaryRole ? null : this.extraDevices.find(e => e.role === role);
+        return entry ? this.getExtraDeviceMapping(entry) : this.imuMapping;
+    }
+
+    // Extra sensor the mapping form edits, or null for the main device
+    getMappingFormEntry() {
+        return this.mappingFormRole ? this.extraDevices.find(e => e.role === this.mappingFormRole) || null : null;
+    }
+
+    // Read the mapping form; returns null (and marks the input) if it isn't valid
+    readImuMappingForm() {
+        const fieldsInput = document.getElementById('mappingFieldsInput');
+        const axesInput = document.getElementById('mappingAxesInput');
+
+        // Every IMU field exactly once, anything else is a skipped column
+        const fields = fieldsInput.value.split(',').map(f => f.trim().toLowerCase())
+            .map(f => this.IMU_FIELDS.includes(f) ? f : '-');
+        const fieldsValid = this.IMU_FIELDS.every(f => fields.filter(x => x === f).length === 1);
+
+        // A signed permutation of x, y, z
+        const axes = axesInput.value.split(',').map(a => a.trim().toLowerCase());
+        const axesValid = axes.length === 3 && axes.every(a => /^-?[xyz]$/.test(a)) &&
+            new Set(axes.map(a => a.replace('-', ''))).size === 3;
+
+        fieldsInput.classList.toggle('invalid', !fieldsValid);
+        axesInput.classList.toggle('invalid', !axesValid);
+        if (!fieldsValid || !axesValid) {
+            return null;
         }
+
+        return {
+            fields,
+            axes,
+            accelUnit: document.getElementById('mappingAccelUnitSelect').value,
+            gyroUnit: document.getElementById('mappingGyroUnitSelect').value,
+            bowAxis: document.getElementById('mappingBowAxisSelect').value,
+            strokeAxis: document.getElementById('mappingStrokeAxisSelect').value
+        };
     }
 
-    async attemptAutoReconnect() {
-        if (!this.savedConnection || this.device || this.isConnecting) {
+    updateImuMappingFromForm() {
+        const mapping = this.readImuMappingForm();
+        if (!mapping) {
+            console.warn('⚠️ Invalid IMU mapping - fields need ax..gz once each, axes a signed order of x,y,z');
             return;
         }
 
-        try {
-            this.isConnecting = true;
-            this.updateStatus('Auto-reconnecting...');
+        const entry = this.getMappingFormEntry();
+        if (entry) {
+            this.deviceMappings[this.getExtraDeviceKey(entry)] = mapping;
+            this.saveDeviceMappings();
+        } else {
+            this.imuMapping = mapping;
+        }
+        this.resetMotionFilters();
+        console.log(`🧭 IMU mapping${entry ? ` (${this.DEVICE_ROLES[entry.role]} sensor)` : ''}: columns [${mapping.fields.join(',')}], axes [${mapping.axes.join(',')}], ` +
+            `units ${mapping.accelUnit}/${mapping.gyroUnit}, bow along ${mapping.bowAxis.toUpperCase()}, ` +
+            `stroke rotation ${mapping.strokeAxis.toUpperCase()}`);
+
+        // Virtual and phone sensors already stream player axes, so only real devices keep a profile
+        if (!entry && this.savedConnection && this.connectionType !== 'virtual' && this.connectionType !== 'phone') {
+            this.deviceMappings[this.getConnectionKey(this.savedConnection)] = mapping;
+            this.saveDeviceMappings();
+        }
+    }
 
-            // Request the same device
-            const devices = await navigator.bluetooth.getDevices();
-            const savedDevice = devices.find(d => d.id === this.savedConnection.deviceId);
+    // Show a mapping in the form (default: the profile of the device being edited)
+    renderImuMappingForm(mapping = null) {
+        const entry = this.getMappingFormEntry();
+        if (!mapping) {
+            mapping = entry ? this.getExtraDeviceMapping(entry) : this.imuMapping;
+        }
+        const fieldsInput = document.getElementById('mappingFieldsInput');
+        const axesInput = document.getElementById('mappingAxesInput');
+
+        fieldsInput.value = mapping.fields.join(',');
+        axesInput.value = mapping.axes.join(',');
+        fieldsInput.classList.remove('invalid');
+        axesInput.classList.remove('invalid');
+        document.getElementById('mappingAccelUnitSelect').value = mapping.accelUnit;
+        document.getElementById('mappingGyroUnitSelect').value = mapping.gyroUnit;
+        document.getElementById('mappingBowAxisSelect').value = mapping.bowAxis;
+        document.getElementById('mappingStrokeAxisSelect').value = mapping.strokeAxis || 'z';
+    }
 
-            if (!savedDevice) {
-                console.log('Saved device not found');
-                this.isConnecting = false;
-                return;
-            }
+    // ===== BLE DATA PROCESSING =====
 
-            this.device = savedDevice;
+    // Clear per-connection parsing state before a new data stream starts
+    resetStreamState() {
+        this.bleBuffer = '';
+        this.dataFormat = null;
+        this.packetStats = { received: 0, lost: 0, reordered: 0, duplicates: 0 };
+        this.lastSequence = null;
+        this.lastDeviceTimestampUs = null;
+        this.deviceSampleIntervalUs = 0;
+        this.resetOrientation();
+        this.gravityEstimates = {};
+        this.strokeDetector = this.createStrokeDetector();
+        this.currentString = null;
+        this.vibratoDetector = this.createVibratoDetector();
+        this.accentSamples = [];
+        this.gestureBuffer = [];
+        this.cancelGestureRecording();
+    }
 
-            // Add disconnect listener only once
-            if (!this.disconnectListenerAdded) {
-                this.device.addEventListener('gattserverdisconnected', this.handleDisconnect.bind(this));
-                this.disconnectListenerAdded = true;
-                console.log('Disconnect listener added during auto-reconnect');
+    handleBleData(value) {
+        // Binary frames are recognized by their header byte and exact size
+        if (this.isBinaryImuPacket(value)) {
+            if (this.dataFormat !== 'binary') {
+                this.dataFormat = 'binary';
+                console.log('📦 Binary IMU frames detected');
             }
+            this.handleBinaryPacket(value);
+            return;
+        }
 
-            console.log('Connecting to saved device...');
-            this.server = await this.device.gatt.connect();
+        if (this.dataFormat === null) {
+            this.dataFormat = 'csv';
+            console.log('📝 CSV IMU lines detected');
+        }
 
-            // Verify connection is established
-            if (!this.server || !this.server.connected) {
-                throw new Error('Failed to establish GATT connection during auto-reconnect');
-            }
+        const decoder = new TextDecoder();
+        this.handleTextData(decoder.decode(value));
+    }
 
-            console.log('Auto-reconnect: GATT server connected');
+    // Frame size for a binary header byte, or 0 if the byte isn't a frame header
+    getBinaryFrameSize(header) {
+        if (header === this.BINARY_HEADER_INT16) return this.BINARY_FRAME_SIZE_INT16;
+        if (header === this.BINARY_HEADER_FLOAT32) return this.BINARY_FRAME_SIZE_FLOAT32;
+        return 0;
+    }
 
-            // Add longer delay to ensure connection is stable
-            await new Promise(resolve => setTimeout(resolve, 300));
+    // A packet holds one or more whole binary frames (CSV text never starts with 0xA1/0xA2)
+    isBinaryImuPacket(value) {
+        if (value.byteLength === 0) {
+            return false;
+        }
+        const frameSize = this.getBinaryFrameSize(value.getUint8(0));
+        return frameSize > 0 && value.byteLength % frameSize === 0;
+    }
 
-            // Verify still connected after delay
-            if (!this.server.connected) {
-                throw new Error('Connection lost during auto-reconnect initialization');
+    handleBinaryPacket(value) {
+        let offset = 0;
+
+        while (offset < value.byteLength) {
+            const frameSize = this.getBinaryFrameSize(value.getUint8(offset));
+            if (frameSize === 0 || offset + frameSize > value.byteLength) {
+                console.warn(`Malformed binary IMU packet (${value.byteLength} bytes)`);
+                return;
             }
 
-            // Find the saved service and characteristic
-            const services = await this.server.getPrimaryServices();
-            console.log(`Auto-reconnect: Found ${services.length} services`);
+            const frame = this.parseBinaryFrame(value, offset);
+            offset += frameSize;
 
-            for (const service of services) {
-                if (service.uuid === this.savedConnection.serviceUuid) {
-                    const characteristics = await service.getCharacteristics();
-                    for (const char of characteristics) {
-                        if (char.uuid === this.savedConnection.characteristicUuid) {
-                            await this.selectCharacteristic(char, service.uuid);
-                            this.updateStatus('Auto-reconnected!');
-                            this.isConnecting = false;
-                            return;
-                        }
-                    }
-                }
+            if (!this.trackSequence(frame.sequence)) {
+                continue; // Duplicate or late packet - already superseded
             }
 
-            throw new Error('Saved characteristic not found');
+            // Device clock (uint32 microseconds, wraps every ~71 minutes)
+            if (this.lastDeviceTimestampUs !== null) {
+                this.deviceSampleIntervalUs = (frame.timestampUs - this.lastDeviceTimestampUs) >>> 0;
+            }
+            this.lastDeviceTimestampUs = frame.timestampUs;
 
-        } catch (error) {
-            console.log('Auto-reconnect failed:', error);
-            this.updateStatus('Disconnected');
-            this.disconnectListenerAdded = false;
-            this.isConnecting = false;
+            const sample = frame.sample;
+            this.addRawOutputLine(`#${frame.sequence} @${frame.timestampUs}µs ` +
+                [sample.ax, sample.ay, sample.az, sample.gx, sample.gy, sample.gz].map(v => v.toFixed(3)).join(','));
+            this.handleImuSample(sample);
         }
     }
 
-    disconnect() {
-        console.log('Disconnect called');
+    parseBinaryFrame(view, offset) {
+        const header = view.getUint8(offset);
+        const sequence = view.getUint16(offset + 1, true);
+        const timestampUs = view.getUint32(offset + 3, true);
+        const axes = [];
 
-        try {
-            if (this.device && this.device.gatt && this.device.gatt.connected) {
-                console.log('Disconnecting GATT...');
-                this.device.gatt.disconnect();
+        if (header === this.BINARY_HEADER_INT16) {
+            for (let i = 0; i < 6; i++) {
+                axes.push(view.getInt16(offset + 7 + i * 2, true));
+            }
+            // Accel mg -> g, gyro 0.1 deg/s -> deg/s
+            axes[0] /= 1000; axes[1] /= 1000; axes[2] /= 1000;
+            axes[3] /= 10; axes[4] /= 10; axes[5] /= 10;
+        } else {
+            for (let i = 0; i < 6; i++) {
+                axes.push(view.getFloat32(offset + 7 + i * 4, true));
             }
-        } catch (error) {
-            console.error('Error during disconnect:', error);
         }
 
-        // Reset all connection state
-        this.device = null;
-        this.server = null;
-        this.characteristic = null;
-        this.isConnecting = false;
-        this.disconnectListenerAdded = false;
+        return {
+            sequence,
+            timestampUs,
+            sample: {
+                ax: axes[0], ay: axes[1], az: axes[2],
+                gx: axes[3], gy: axes[4], gz: axes[5],
+                timestampUs
+            }
+        };
+    }
 
-        this.updateStatus('Disconnected');
-        document.getElementById('disconnectBtn').disabled = true;
-        document.getElementById('imuSection').style.display = 'none';
+    // Update packet statistics from a frame sequence number
+    // Returns false if the frame is a duplicate or arrived after a newer one
+    trackSequence(sequence) {
+        this.packetStats.received++;
 
-        // Only pause audio if test playback is NOT active
-        if (this.audioElement && !this.isTestPlaying) {
-            this.forcePause();
-            console.log('Audio paused (Bluetooth disconnected, test playback not active)');
-        } else if (this.isTestPlaying) {
-            console.log('Test playback active - keeping audio playing');
+        if (this.lastSequence !== null) {
+            const delta = (sequence - this.lastSequence + 65536) % 65536;
+
+            if (delta === 0) {
+                this.packetStats.duplicates++;
+                return false;
+            }
+
+            if (delta > 32768) {
+                // Older than the last frame: it was counted as lost, now known to be reordered
+                this.packetStats.reordered++;
+                this.packetStats.lost = Math.max(0, this.packetStats.lost - 1);
+                return false;
+            }
+
+            if (delta > 1) {
+                this.packetStats.lost += delta - 1;
+            }
         }
-    }
 
-    // ===== BLE DATA PROCESSING =====
+        this.lastSequence = sequence;
+        return true;
+    }
 
-    handleBleData(value) {
-        const decoder = new TextDecoder();
-        const chunk = decoder.decode(value);
+    // Buffer text from any transport and process complete lines
+    handleTextData(chunk) {
         this.bleBuffer += chunk;
 
         // Process complete lines
@@ -1816,83 +6011,155 @@ class ViolinPlayer {
 
     processData(line) {
         // Add to raw output
-        this.rawOutputLines.push(line);
-        if (this.rawOutputLines.length > 5) {
-            this.rawOutputLines.shift();
+        this.addRawOutputLine(line);
+
+        // Protocol messages start with a keyword, e.g. "INFO:..."
+        if (/^[A-Z]+:/.test(line)) {
+            this.handleDeviceMessage(line);
+            return;
         }
-        this.updateRawOutput();
 
-        // Parse IMU data (format: ax,ay,az,gx,gy,gz)
+        const sample = this.parseImuLine(line);
+        if (sample) {
+            this.handleImuSample(sample);
+        }
+    }
+
+    // Parse IMU data (format: ax,ay,az,gx,gy,gz), null if the line isn't a sample
+    // Columns are read by name from the mapping's field order; extra columns are ignored
+    parseImuLine(line, mapping = this.imuMapping) {
         const parts = line.split(',');
-        if (parts.length >= 6) {
-            this.imuData = {
-                ax: parseFloat(parts[0]) || 0,
-                ay: parseFloat(parts[1]) || 0,
-                az: parseFloat(parts[2]) || 0,
-                gx: parseFloat(parts[3]) || 0,
-                gy: parseFloat(parts[4]) || 0,
-                gz: parseFloat(parts[5]) || 0
-            };
+        if (parts.length < mapping.fields.length) {
+            return null;
+        }
+
+        const sample = {};
+        this.IMU_FIELDS.forEach(field => {
+            sample[field] = parseFloat(parts[mapping.fields.indexOf(field)]) || 0;
+        });
+        return sample;
+    }
+
+    // Run one parsed IMU sample (CSV or binary) through the motion pipeline
+    // extraDevice is set for samples from an extra sensor, null for the main connection
+    handleImuSample(sample, extraDevice = null) {
+        if (extraDevice) {
+            // Extra sensors have no handshake, so 'auto' units mean g and deg/s
+            this.applyMotionSample(extraDevice.role, this.applyImuMapping(sample, this.getExtraDeviceMapping(extraDevice), null));
+            return;
+        }
+
+        this.noteDataReceived();
 
-            this.detectBowDirection();
-            this.updateAudioVolume();
-            this.updateImuDisplay();
+        if (this.awaitingDataAfterReconnect) {
+            this.awaitingDataAfterReconnect = false;
+            console.log('▶️ Data flowing again - IMU playback resumed');
         }
+
+        this.applyMotionSample(this.primaryRole, this.applyImuMapping(sample));
     }
 
-    detectBowDirection() {
-        const accelThreshold = 0.2;
-        const currentDirection = this.imuData.ax > accelThreshold ? 1 :
-                                this.imuData.ax < -accelThreshold ? -1 :
-                                this.lastBowDirection;
+    // Feed a sample in player axes (g, deg/s) into the motion model for one role
+    applyMotionSample(role, imuData) {
+        // Audio follows the bow sensor; other devices only feed into the combination
+        const isDriving = role === this.getDrivingRole();
+        if (isDriving) {
+            this.removeGyroBias(imuData);
+            this.updateOrientation(imuData);
+        }
 
-        if (currentDirection !== 0 && this.lastBowDirection !== 0 && currentDirection !== this.lastBowDirection) {
-            this.bowDirection = currentDirection > 0 ? 'Up-Bow →' : 'Down-Bow ←';
+        imuData.linearAccel = this.removeGravity(role, imuData, isDriving);
+        this.updateDeviceState(role, imuData);
 
-            // Show change indicator
-            const changeBadge = document.getElementById('directionChange');
-            changeBadge.style.display = 'inline-block';
-            setTimeout(() => changeBadge.style.display = 'none', 200);
+        if (role === this.getVibratoRole()) {
+            this.updateVibrato(imuData);
+        }
+
+        if (!isDriving) {
+            return;
         }
 
-        if (currentDirection !== 0) {
-            this.lastBowDirection = currentDirection;
-            this.bowDirection = currentDirection > 0 ? 'Up-Bow →' : 'Down-Bow ←';
+        this.imuData = imuData;
+
+        this.updateAudioVolume();
+        this.updateAccentDetector(imuData);
+        this.updateStrokeDetector(imuData);
+        this.updateStringCrossing();
+        this.updateGestures(imuData);
+        this.updateImuDisplay();
+
+        if (this.calibrationWizard) {
+            this.collectMotionCalibrationSample(imuData);
         }
     }
 
-    updateAudioVolume() {
-        // Calculate motion speed
+    addRawOutputLine(line) {
+        this.rawOutputLines.push(line);
+        if (this.rawOutputLines.length > 5) {
+            this.rawOutputLines.shift();
+        }
+        this.updateRawOutput();
+    }
+
+    // Combined motion of one IMU sample from angular velocity and linear (gravity-free) acceleration
+    calculateCombinedMotion(imuData) {
         const gyroMagnitude = Math.sqrt(
-            this.imuData.gx * this.imuData.gx +
-            this.imuData.gy * this.imuData.gy +
-            this.imuData.gz * this.imuData.gz
+            imuData.gx * imuData.gx +
+            imuData.gy * imuData.gy +
+            imuData.gz * imuData.gz
         );
 
+        const accel = imuData.linearAccel || { x: imuData.ax, y: imuData.ay, z: imuData.az };
         const accelMagnitude = Math.sqrt(
-            this.imuData.ax * this.imuData.ax +
-            this.imuData.ay * this.imuData.ay +
-            this.imuData.az * this.imuData.az
+            accel.x * accel.x +
+            accel.y * accel.y +
+            accel.z * accel.z
         );
 
-        const combinedMotion = (gyroMagnitude * 0.7) + (accelMagnitude * 0.3);
+        return (gyroMagnitude * this.motionGyroWeight) + (accelMagnitude * this.motionAccelWeight);
+    }
+
+    // Acceleration with gravity removed, so a bow at rest reads ~0 however it's held
+    removeGravity(role, imuData, hasOrientation) {
+        if (this.gravityCompensation === 'off') {
+            return { x: imuData.ax, y: imuData.ay, z: imuData.az };
+        }
 
-        // Smooth motion with history
-        this.motionHistory.push(combinedMotion);
-        if (this.motionHistory.length > this.maxHistorySize) {
-            this.motionHistory.shift();
+        let gravity;
+        if (this.gravityCompensation === 'fusion' && hasOrientation) {
+            gravity = this.getGravityDirection();
+        } else {
+            // High-pass: subtract a slow low-pass estimate of gravity (also used for sensors without fusion)
+            const previous = this.gravityEstimates[role] || { x: imuData.ax, y: imuData.ay, z: imuData.az };
+            const alpha = this.GRAVITY_FILTER_ALPHA;
+            gravity = {
+                x: alpha * previous.x + (1 - alpha) * imuData.ax,
+                y: alpha * previous.y + (1 - alpha) * imuData.ay,
+                z: alpha * previous.z + (1 - alpha) * imuData.az
+            };
+            this.gravityEstimates[role] = gravity;
         }
 
-        this.motionSpeed = this.motionHistory.reduce((a, b) => a + b, 0) / this.motionHistory.length;
+        return { x: imuData.ax - gravity.x, y: imuData.ay - gravity.y, z: imuData.az - gravity.z };
+    }
+
+    updateAudioVolume() {
+        // Calculate motion speed (optionally relative to the violin body)
+        this.rawMotionSpeed = this.calculateCombinedMotion(this.getMotionInput());
+
+        // Smooth motion with the selected filter
+        this.motionSpeed = this.filterMotion(this.motionFilter, this.rawMotionSpeed, this.imuData.timestampUs);
 
         // Control MIDI playback
         if (this.playbackMode === 'MIDI' && this.isImuPlaying) {
             this.controlMidiPlayback();
         }
 
+        this.updatePlaybackTempo();
+
         // Control MP3 volume if not in test mode and IMU playback is active
         if (this.playbackMode === 'MP3' && !this.isTestPlaying && this.isImuPlaying && this.audioElement.src) {
-            const normalizedSpeed = Math.min(this.motionSpeed / this.MAX_MOTION_SPEED, 1.0);
+            const normalizedSpeed = Math.min(this.motionSpeed / this.maxMotionSpeed, 1.0);
             const threshold = this.motionThreshold;
 
             if (normalizedSpeed >= threshold) {
@@ -1943,7 +6210,7 @@ class ViolinPlayer {
     }
 
     controlMidiPlayback() {
-        const normalizedSpeed = Math.min(this.motionSpeed / this.MAX_MOTION_SPEED, 1.0);
+        const normalizedSpeed = Math.min(this.motionSpeed / this.maxMotionSpeed, 1.0);
         const isMoving = normalizedSpeed >= this.motionThreshold;
 
         if (isMoving && !this.isPlayingMidiSequence) {
@@ -1976,8 +6243,13 @@ class ViolinPlayer {
             const note = this.midiNotes[this.currentNoteIndex];
             console.log(`Playing note ${this.currentNoteIndex + 1}/${this.midiNotes.length}: pitch=${note.pitch}, duration=${note.duration}ms`);
 
-            // Play the note
-            this.playMidiNote(note);
+            // Play the note on the detected string (a rest if it can't be played there)
+            const stringNote = this.applyStringToNote(note);
+            if (stringNote) {
+                this.playMidiNote(stringNote);
+            } else {
+                this.stopCurrentMidiNote();
+            }
 
             // Update UI
             document.getElementById('currentNote').textContent =
@@ -2061,6 +6333,17 @@ class ViolinPlayer {
         this.stopCurrentMidiNote();
     }
 
+    // Remember the new note's volume, and accent it if a strong stroke onset just happened
+    startMidiNoteEnvelope(gainNode, volume) {
+        this.currentMidiVolume = volume;
+        this.currentMidiNoteStart = Date.now();
+
+        const accentStrength = this.isTestPlaying ? 0 : this.takePendingAccent();
+        if (accentStrength > 0) {
+            this.applyAccentEnvelope(gainNode, volume, accentStrength);
+        }
+    }
+
     // Helper function to sleep/delay
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
@@ -2077,6 +6360,15 @@ class ViolinPlayer {
             this.currentMidiSource = null;
         }
 
+        if (this.midiVibrato) {
+            try {
+                this.midiVibrato.lfo.stop();
+            } catch (e) {
+                // Already stopped
+            }
+            this.midiVibrato = null;
+        }
+
         // Clear gain node and velocity references
         this.currentMidiGainNode = null;
         this.currentNoteVelocity = null;
@@ -2123,12 +6415,13 @@ class ViolinPlayer {
             volume = velocityVolume * this.maxVolume;
         } else {
             // IMU playback: use motion speed
-            const normalizedSpeed = Math.min(this.motionSpeed / this.MAX_MOTION_SPEED, 1.0);
+            const normalizedSpeed = Math.min(this.motionSpeed / this.maxMotionSpeed, 1.0);
             volume = velocityVolume * normalizedSpeed * this.maxVolume;
         }
 
         // Set initial gain value (start at volume, will ramp in if needed)
         gainNode.gain.setValueAtTime(Math.max(volume, 0.001), this.midiAudioContext.currentTime);
+        this.startMidiNoteEnvelope(gainNode, volume);
 
         // Calculate pitch shift rate
         // Each semitone = 2^(1/12) ≈ 1.059463
@@ -2136,6 +6429,7 @@ class ViolinPlayer {
         const rate = Math.pow(1.059463, semitoneDistance);
         const clampedRate = Math.max(0.5, Math.min(2.0, rate)); // Clamp between 0.5x and 2x
         source.playbackRate.value = clampedRate;
+        this.attachMidiVibrato(source.detune, note.duration);
 
         // Connect nodes
         source.connect(gainNode);
@@ -2173,6 +6467,7 @@ class ViolinPlayer {
         const frequency = 440 * Math.pow(2, (note.pitch - 69) / 12);
         oscillator.frequency.value = frequency;
         oscillator.type = 'sine';
+        this.attachMidiVibrato(oscillator.detune, note.duration);
 
         // Use max volume for test playback, motion-controlled volume for IMU playback
         let volume;
@@ -2182,12 +6477,13 @@ class ViolinPlayer {
             this.currentNoteVelocity = 1.0; // Store for recalculation
         } else {
             // IMU playback: use motion speed
-            const normalizedSpeed = Math.min(this.motionSpeed / this.MAX_MOTION_SPEED, 1.0);
+            const normalizedSpeed = Math.min(this.motionSpeed / this.maxMotionSpeed, 1.0);
             volume = normalizedSpeed * this.maxVolume;
         }
 
         // Set initial gain value (start at volume, will ramp in if needed)
         gainNode.gain.setValueAtTime(Math.max(volume, 0.001), this.midiAudioContext.currentTime);
+        this.startMidiNoteEnvelope(gainNode, volume);
 
         oscillator.connect(gainNode);
         gainNode.connect(this.midiAudioContext.destination);
@@ -2328,7 +6624,7 @@ class ViolinPlayer {
             }, { once: true });
 
             // Auto-play if IMU playback is active
-            if (this.isImuPlaying && this.characteristic) {
+            if (this.isImuPlaying && this.isDeviceConnected()) {
                 this.audioElement.play().catch(e => console.log('Play error:', e));
             }
 
@@ -2444,6 +6740,7 @@ class ViolinPlayer {
             }, 500);
             if (this.playbackMode === 'MP3') {
                 this.setAudioVolume(this.maxVolume);
+                this.applyPlaybackRate(1); // Test playback runs at the original tempo
                 this.audioElement.play().catch(e => console.log('Play error:', e));
             } else {
                 this.startTestMidiPlayback();
@@ -2988,6 +7285,22 @@ class ViolinPlayer {
         }
     }
 
+    // Load the next (step 1) or previous (step -1) built-in MP3, wrapping around the list
+    changeBuiltInTrack(step) {
+        const tracks = (window.ASSETS_MANIFEST && window.ASSETS_MANIFEST.mp3) || [];
+        if (tracks.length === 0) {
+            console.log('ℹ️ No built-in tracks to switch to');
+            return;
+        }
+
+        const current = tracks.findIndex(item => item.name === this.currentTrack);
+        const index = current === -1 ?
+            (step > 0 ? 0 : tracks.length - 1) :
+            (current + step + tracks.length) % tracks.length;
+        const track = tracks[index];
+        this.loadTrack(`assets/mp3/${track.file}`, track.name);
+    }
+
     showBuiltInTracks() {
         // Load tracks dynamically from assets manifest
         const tracks = [];
@@ -3099,7 +7412,7 @@ class ViolinPlayer {
         if (status.includes('Connected')) {
             statusElement.classList.add('connected');
             statusElement.classList.remove('connecting');
-        } else if (status.includes('Connecting') || status.includes('Auto-reconnecting')) {
+        } else if (status.includes('Connecting') || status.includes('Auto-reconnecting') || status.includes('Reconnecting')) {
             statusElement.classList.add('connecting');
             statusElement.classList.remove('connected');
         } else {
@@ -3114,10 +7427,21 @@ class ViolinPlayer {
         document.getElementById('gyroX').textContent = this.imuData.gx.toFixed(2);
         document.getElementById('gyroY').textContent = this.imuData.gy.toFixed(2);
         document.getElementById('gyroZ').textContent = this.imuData.gz.toFixed(2);
+        document.getElementById('rawMotionSpeed').textContent = this.rawMotionSpeed.toFixed(2);
         document.getElementById('motionSpeed').textContent = this.motionSpeed.toFixed(2);
+        document.getElementById('orientationRoll').textContent = `${this.orientation.roll.toFixed(1)}°`;
+        document.getElementById('orientationPitch').textContent = `${this.orientation.pitch.toFixed(1)}°`;
+        document.getElementById('orientationYaw').textContent = `${this.orientation.yaw.toFixed(1)}°`;
 
         const motionProgress = Math.min((this.motionSpeed / 300) * 100, 100);
         document.getElementById('motionProgress').style.width = motionProgress + '%';
+        const rawMotionProgress = Math.min((this.rawMotionSpeed / 300) * 100, 100);
+        document.getElementById('rawMotionProgress').style.width = rawMotionProgress + '%';
+
+        document.getElementById('currentString').textContent =
+            this.currentString === null ? '-' : this.VIOLIN_STRINGS[this.currentString].name;
+
+        this.updateVibratoDisplay();
 
         const directionElement = document.getElementById('bowDirection');
         directionElement.textContent = this.bowDirection;
@@ -3131,6 +7455,30 @@ class ViolinPlayer {
         const volumePercent = Math.round(this.currentVolume * 100);
         document.getElementById('currentVolumeValue').textContent = volumePercent;
         document.getElementById('volumeProgress').style.width = volumePercent + '%';
+
+        this.updatePacketStatsDisplay();
+        this.updateDeviceMotionDisplay();
+    }
+
+    updatePacketStatsDisplay() {
+        document.getElementById('dataFormat').textContent = this.dataFormat ? this.dataFormat.toUpperCase() : '-';
+
+        // Sequence numbers and device timestamps only exist in binary frames
+        const statsRow = document.getElementById('packetStats');
+        if (this.dataFormat !== 'binary') {
+            statsRow.style.display = 'none';
+            return;
+        }
+        statsRow.style.display = 'flex';
+
+        const stats = this.packetStats;
+        const expected = stats.received - stats.duplicates + stats.lost;
+        const lossPercent = expected > 0 ? (stats.lost / expected) * 100 : 0;
+        document.getElementById('packetsReceived').textContent = stats.received;
+        document.getElementById('packetsLost').textContent = `${stats.lost} (${lossPercent.toFixed(1)}%)`;
+        document.getElementById('packetsReordered').textContent = stats.reordered;
+        document.getElementById('deviceTimestamp').textContent =
+            `${(this.lastDeviceTimestampUs / 1000000).toFixed(3)}s (Δ${(this.deviceSampleIntervalUs / 1000).toFixed(1)}ms)`;
     }
 
     updateRawOutput() {
@@ -3141,8 +7489,28 @@ class ViolinPlayer {
 
     updateUI() {
         // Initial UI state
+        this.renderImuMappingForm();
+        document.getElementById('gravityCompensationSelect').value = this.gravityCompensation;
+        document.getElementById('gyroWeightSlider').value = this.motionGyroWeight;
+        document.getElementById('gyroWeightValue').textContent = this.motionGyroWeight.toFixed(2);
+        document.getElementById('accelWeightSlider').value = this.motionAccelWeight;
+        document.getElementById('accelWeightValue').textContent = this.motionAccelWeight.toFixed(1);
+        document.getElementById('motionFilterSelect').value = this.motionFilterType;
+        this.renderMotionFilterParams();
+        this.renderStringCrossingSettings();
+        document.getElementById('vibratoDepthSlider').value = this.vibratoMaxCents;
+        document.getElementById('vibratoDepthValue').textContent = this.vibratoMaxCents;
+        document.getElementById('mp3VibratoToggle').checked = this.mp3VibratoEnabled;
+        document.getElementById('accentSensitivitySlider').value = Math.round(this.accentSensitivity * 100);
+        document.getElementById('accentSensitivityValue').textContent = Math.round(this.accentSensitivity * 100);
+        this.renderTempoSettings();
+        document.getElementById('gestureActionSelect').innerHTML = this.getGestureActionOptions();
+        document.getElementById('gestureThresholdSlider').value = this.gestureThreshold;
+        document.getElementById('gestureThresholdValue').textContent = this.gestureThreshold.toFixed(2);
+        this.renderGestures();
         document.getElementById('maxVolumeValue').textContent = Math.round(this.maxVolume * 100);
-        document.getElementById('motionThresholdValue').textContent = Math.round(this.motionThreshold * 100);
+        document.getElementById('playerNameInput').value = this.playerName;
+        this.applyMotionCalibration(null);
 
         // Show warning if volume control is not supported
         if (!this.volumeSupported) {
@@ -3171,15 +7539,202 @@ class ViolinPlayer {
 
     // ===== SAVED CONNECTION =====
 
-    saveConnection(deviceId, deviceName, serviceUuid, characteristicUuid) {
+    saveConnection(deviceId, deviceName, serviceUuid, characteristicUuid, writeServiceUuid = null, writeCharacteristicUuid = null) {
         const connection = {
+            type: 'ble',
             deviceId,
             deviceName,
             serviceUuid,
-            characteristicUuid
+            characteristicUuid,
+            writeServiceUuid,
+            writeCharacteristicUuid
+        };
+        this.storeConnection(connection);
+    }
+
+    saveSerialConnection(usbVendorId, usbProductId) {
+        const connection = {
+            type: 'serial',
+            usbVendorId,
+            usbProductId
+        };
+        this.storeConnection(connection);
+    }
+
+    saveWebSocketConnection(url) {
+        const connection = {
+            type: 'websocket',
+            url
         };
+        this.storeConnection(connection);
+    }
+
+    // Save as the main connection and switch to that device's mapping profile
+    storeConnection(connection) {
         localStorage.setItem('violinPlayerConnection', JSON.stringify(connection));
         this.savedConnection = connection;
+        this.setImuMapping(this.getDeviceMapping(connection));
+    }
+
+    // Mapping profile saved for a connection, the default for a device seen for the first time
+    getDeviceMapping(connection) {
+        return (connection && this.deviceMappings[this.getConnectionKey(connection)]) || this.DEFAULT_IMU_MAPPING;
+    }
+
+    // Identifies the physical device (or relay) behind a saved connection
+    getConnectionKey(connection) {
+        switch (connection.type) {
+            case 'serial':
+                return `serial:${connection.usbVendorId}:${connection.usbProductId}`;
+            case 'websocket':
+                return `websocket:${connection.url}`;
+            default:
+                return `ble:${connection.deviceId}`;
+        }
+    }
+
+    saveExtraDeviceConnection(role, deviceId, deviceName, serviceUuid, characteristicUuid) {
+        this.savedExtraDevices = this.savedExtraDevices.filter(saved => saved.role !== role);
+        this.savedExtraDevices.push({ role, deviceId, deviceName, serviceUuid, characteristicUuid });
+        localStorage.setItem('violinPlayerExtraDevices', JSON.stringify(this.savedExtraDevices));
+    }
+
+    forgetExtraDeviceConnection(role) {
+        this.savedExtraDevices = this.savedExtraDevices.filter(saved => saved.role !== role);
+        localStorage.setItem('violinPlayerExtraDevices', JSON.stringify(this.savedExtraDevices));
+    }
+
+    loadSavedExtraDevices() {
+        const saved = localStorage.getItem('violinPlayerExtraDevices');
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    saveDeviceMappings() {
+        localStorage.setItem('violinPlayerDeviceMappings', JSON.stringify(this.deviceMappings));
+    }
+
+    loadDeviceMappings() {
+        const mappings = JSON.parse(localStorage.getItem('violinPlayerDeviceMappings') || '{}');
+
+        // Older versions kept the main device's profile inside the saved connection
+        const connection = this.savedConnection;
+        if (connection && connection.mapping && !mappings[this.getConnectionKey(connection)]) {
+            mappings[this.getConnectionKey(connection)] = connection.mapping;
+            localStorage.setItem('violinPlayerDeviceMappings', JSON.stringify(mappings));
+        }
+        return mappings;
+    }
+
+    saveMotionModel() {
+        localStorage.setItem('violinPlayerMotionModel', JSON.stringify({
+            gravityCompensation: this.gravityCompensation,
+            gyroWeight: this.motionGyroWeight,
+            accelWeight: this.motionAccelWeight
+        }));
+    }
+
+    loadMotionModel() {
+        const defaults = { gravityCompensation: 'fusion', gyroWeight: 0.7, accelWeight: 0.3 };
+        const saved = localStorage.getItem('violinPlayerMotionModel');
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+    }
+
+    saveMotionFilterSettings() {
+        localStorage.setItem('violinPlayerMotionFilter', JSON.stringify({
+            type: this.motionFilterType,
+            params: this.motionFilterParams
+        }));
+    }
+
+    // Saved filter settings merged over each filter's defaults
+    loadMotionFilterSettings() {
+        const saved = JSON.parse(localStorage.getItem('violinPlayerMotionFilter') || 'null');
+        const params = {};
+        Object.entries(this.MOTION_FILTERS).forEach(([type, filter]) => {
+            params[type] = {};
+            Object.entries(filter.params).forEach(([name, definition]) => {
+                const value = saved && saved.params[type] && saved.params[type][name];
+                params[type][name] = typeof value === 'number' ? value : definition.default;
+            });
+        });
+        const type = saved && this.MOTION_FILTERS[saved.type] ? saved.type : 'movingAverage';
+        return { type, params };
+    }
+
+    saveStringCrossingSettings() {
+        localStorage.setItem('violinPlayerStringCrossing', JSON.stringify({
+            boundaries: this.stringBoundaries,
+            hysteresis: this.stringHysteresis,
+            reversed: this.stringTiltReversed,
+            midiMode: this.stringMidiMode
+        }));
+    }
+
+    loadStringCrossingSettings() {
+        const defaults = { boundaries: [-15, 0, 15], hysteresis: 3, reversed: false, midiMode: 'off' };
+        const saved = localStorage.getItem('violinPlayerStringCrossing');
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+    }
+
+    saveVibratoSettings() {
+        localStorage.setItem('violinPlayerVibrato', JSON.stringify({
+            maxCents: this.vibratoMaxCents,
+            mp3Enabled: this.mp3VibratoEnabled
+        }));
+    }
+
+    loadVibratoSettings() {
+        const defaults = { maxCents: 30, mp3Enabled: false };
+        const saved = localStorage.getItem('violinPlayerVibrato');
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+    }
+
+    saveTempoSettings() {
+        localStorage.setItem('violinPlayerTempo', JSON.stringify({
+            enabled: this.tempoModeEnabled,
+            minRate: this.tempoMinRate,
+            maxRate: this.tempoMaxRate,
+            smoothingMs: this.tempoSmoothingMs
+        }));
+    }
+
+    loadTempoSettings() {
+        const defaults = { enabled: false, minRate: 0.75, maxRate: 1.25, smoothingMs: 500 };
+        const saved = localStorage.getItem('violinPlayerTempo');
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+    }
+
+    saveGestures() {
+        localStorage.setItem('violinPlayerGestures', JSON.stringify(this.gestures));
+    }
+
+    loadSavedGestures() {
+        const saved = localStorage.getItem('violinPlayerGestures');
+        return saved ? JSON.parse(saved) : [];
+    }
+
+    savePhoneCalibration() {
+        localStorage.setItem('violinPlayerPhoneCalibration', JSON.stringify(this.phoneCalibration));
+    }
+
+    loadPhoneCalibration() {
+        const saved = localStorage.getItem('violinPlayerPhoneCalibration');
+        return saved ? JSON.parse(saved) : null;
+    }
+
+    saveMotionCalibration() {
+        const key = this.getCalibrationKey();
+        if (!key) {
+            return;
+        }
+        const calibrations = this.loadSavedMotionCalibrations();
+        calibrations[key] = this.motionCalibration;
+        localStorage.setItem('violinPlayerMotionCalibrations', JSON.stringify(calibrations));
+    }
+
+    loadSavedMotionCalibrations() {
+        const saved = localStorage.getItem('violinPlayerMotionCalibrations');
+        return saved ? JSON.parse(saved) : {};
     }
 
     loadSavedConnection() {
@@ -3196,6 +7751,11 @@ class ViolinPlayer {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     }
 
+    // Format a USB vendor/product ID as 4-digit hex (e.g. 2341)
+    formatUsbId(id) {
+        return id !== undefined ? id.toString(16).padStart(4, '0') : '????';
+    }
+
     getServiceName(uuid) {
         const services = {
             '00001800-0000-1000-8000-00805f9b34fb': 'Generic Access',
@@ -3228,9 +7788,10 @@ class ViolinPlayer {
 
 // Initialize the app when the page loads
 window.addEventListener('DOMContentLoaded', () => {
-    // Check for Web Bluetooth support
-    if (!navigator.bluetooth) {
-        alert('Web Bluetooth API is not supported in this browser. Please use Chrome or Edge.');
+    // Check for Web Bluetooth / Web Serial support
+    // Phones without either can still use their own motion sensors
+    if (!navigator.bluetooth && !navigator.serial && !('DeviceMotionEvent' in window)) {
+        alert('Web Bluetooth API is not supported in this browser. Please use Chrome or Edge, or connect through the WebSocket relay.');
 //        return;
     }
 
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+
+/**
+ * IMU WebSocket Relay Script
+ *
+ * A small local WebSocket server that lets sensors which can't use
+ * Web Bluetooth (ESP32 boards, phone sender apps, Python rigs) stream
+ * IMU data to the web player. No npm packages are required.
+ *
+ * Usage:
+ *   node imu-relay.js [--port 8765] [--simulate] [--stdin]
+ *
+ * Options:
+ *   --port <n>    Port to listen on (default: 8765)
+ *   --simulate    Generate fake "ax,ay,az,gx,gy,gz" bowing data (no hardware needed)
+ *   --stdin       Forward lines read from stdin (e.g. python rig.py | node imu-relay.js --stdin)
+ *
+ * The relay:
+ * 1. Accepts WebSocket clients on ws://localhost:<port>
+ * 2. Forwards every message from one client to all other clients
+ *    (sensor lines reach the browser, VOL:/IDLE/LED: commands reach the sensor)
+ * 3. Optionally injects simulated or stdin lines as an extra "sensor"
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// WebSocket protocol constants (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// Simulated sensor sample rate
+const SIMULATE_INTERVAL_MS = 20; // 50 Hz
+
+// INFO reply of the simulated sensor (see "Device Handshake" in README.md)
+const SIMULATED_DEVICE_INFO = `INFO:fw=relay-sim;proto=1;rate=${1000 / SIMULATE_INTERVAL_MS};cmds=VOL,IDLE,LED;units=g,dps`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{port: number, simulate: boolean, stdin: boolean}} - Parsed options
+ */
+function parseArgs(argv) {
+    const options = { port: 8765, simulate: false, stdin: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port':
+                options.port = parseInt(argv[++i], 10);
+                if (isNaN(options.port)) {
+                    throw new Error('--port requires a number');
+                }
+                break;
+            case '--simulate':
+                options.simulate = true;
+                break;
+            case '--stdin':
+                options.stdin = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Encode a single unmasked WebSocket frame (server to client)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} - The encoded frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode as many complete frames as are available in a buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {{frames: Array<{fin: boolean, opcode: number, payload: Buffer}>, rest: Buffer}} - Decoded frames and leftover bytes
+ */
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0F;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7F;
+        let headerLength = 2;
+
+        if (length === 126) {
+            if (buffer.length - offset < 4) break;
+            length = buffer.readUInt16BE(offset + 2);
+            headerLength = 4;
+        } else if (length === 127) {
+            if (buffer.length - offset < 10) break;
+            length = Number(buffer.readBigUInt64BE(offset + 2));
+            headerLength = 10;
+        }
+
+        const maskLength = masked ? 4 : 0;
+        const frameLength = headerLength + maskLength + length;
+        if (buffer.length - offset < frameLength) break;
+
+        const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength));
+        if (masked) {
+            const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= mask[i % 4];
+            }
+        }
+
+        frames.push({ fin, opcode, payload });
+        offset += frameLength;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * A connected WebSocket client
+ */
+class RelayClient {
+    /**
+     * @param {import('net').Socket} socket - The upgraded TCP socket
+     * @param {string} address - Remote address for logging
+     * @param {function(RelayClient, number, Buffer): void} onMessage - Called with each complete message
+     * @param {function(RelayClient): void} onClose - Called once when the client goes away
+     */
+    constructor(socket, address, onMessage, onClose) {
+        this.socket = socket;
+        this.address = address;
+        this.onMessage = onMessage;
+        this.onClose = onClose;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.closed = false;
+
+        socket.on('data', (data) => this.handleData(data));
+        socket.on('close', () => this.close());
+        socket.on('error', (error) => {
+            console.warn(`⚠️  Client ${this.address} error: ${error.message}`);
+            this.close();
+        });
+    }
+
+    handleData(data) {
+        const { frames, rest } = decodeFrames(Buffer.concat([this.buffer, data]));
+        this.buffer = rest;
+
+        for (const frame of frames) {
+            switch (frame.opcode) {
+                case OPCODE_TEXT:
+                case OPCODE_BINARY:
+                case OPCODE_CONTINUATION:
+                    this.handleDataFrame(frame);
+                    break;
+                case OPCODE_PING:
+                    this.socket.write(encodeFrame(OPCODE_PONG, frame.payload));
+                    break;
+                case OPCODE_PONG:
+                    break;
+                case OPCODE_CLOSE:
+                    this.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+                    this.close();
+                    return;
+                default:
+                    console.warn(`⚠️  Client ${this.address} sent unknown opcode ${frame.opcode}`);
+            }
+        }
+    }
+
+    handleDataFrame(frame) {
+        // Reassemble fragmented messages
+        if (frame.opcode !== OPCODE_CONTINUATION) {
+            this.fragmentOpcode = frame.opcode;
+            this.fragments = [];
+        }
+        this.fragments.push(frame.payload);
+
+        if (frame.fin) {
+            this.onMessage(this, this.fragmentOpcode, Buffer.concat(this.fragments));
+            this.fragments = [];
+        }
+    }
+
+    /**
+     * Send a message to this client
+     * @param {number} opcode - OPCODE_TEXT or OPCODE_BINARY
+     * @param {Buffer} payload - Message payload
+     */
+    send(opcode, payload) {
+        if (!this.closed) {
+            this.socket.write(encodeFrame(opcode, payload));
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.socket.destroy();
+        this.onClose(this);
+    }
+}
+
+/**
+ * Start the relay server
+ * @param {number} port - Port to listen on
+ * @param {function(RelayClient, string): void} [onCommand] - Called with each device command line
+ * @returns {{broadcast: function(string): void, server: http.Server}} - Relay handle
+ */
+function startRelay(port, onCommand) {
+    const clients = new Set();
+
+    // Forward a message to every client except the sender
+    const forward = (sender, opcode, payload) => {
+        for (const client of clients) {
+            if (client !== sender) {
+                client.send(opcode, payload);
+            }
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('IMU relay: connect with a WebSocket client\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const address = `${socket.remoteAddress}:${socket.remotePort}`;
+        const client = new RelayClient(socket, address, (sender, opcode, payload) => {
+            // Log device commands (they are short text lines)
+            if (opcode === OPCODE_TEXT) {
+                const text = payload.toString('utf8').trim();
+                if (/^(VOL:|IDLE|LED:|HELLO)/.test(text)) {
+                    console.log(`📡 ${sender.address} → ${text}`);
+                    if (onCommand) {
+                        onCommand(sender, text);
+                    }
+                }
+            }
+            forward(sender, opcode, payload);
+        }, (closed) => {
+            clients.delete(closed);
+            console.log(`👋 Client disconnected: ${closed.address} (${clients.size} connected)`);
+        });
+
+        clients.add(client);
+        console.log(`🔌 Client connected: ${address} (${clients.size} connected)`);
+    });
+
+    // Listen errors (e.g. EADDRINUSE) arrive asynchronously, after main()'s try/catch
+    server.on('error', (error) => {
+        console.error('❌ Error:', error.message);
+        process.exit(1);
+    });
+
+    server.listen(port, () => {
+        console.log(`✅ IMU relay listening on ws://localhost:${port}`);
+    });
+
+    return {
+        server,
+        broadcast: (line) => forward(null, OPCODE_TEXT, Buffer.from(line + '\n', 'utf8'))
+    };
+}
+
+/**
+ * Generate one simulated bowing sample
+ * Alternating up/down strokes with short rests at each bow change
+ * @param {number} t - Time in seconds since start
+ * @returns {string} - A CSV line "ax,ay,az,gx,gy,gz"
+ */
+function simulateSample(t) {
+    const strokeSeconds = 2.0;
+    const phase = (t % strokeSeconds) / strokeSeconds;
+    const direction = Math.floor(t / strokeSeconds) % 2 === 0 ? 1 : -1;
+
+    // Smooth speed envelope per stroke, silent near the bow change
+    const envelope = phase < 0.1 || phase > 0.9 ? 0 : Math.sin((phase - 0.1) / 0.8 * Math.PI);
+    const noise = () => (Math.random() - 0.5) * 0.04;
+
+    const ax = direction * 0.6 * envelope + noise();
+    const ay = noise();
+    const az = 1.0 + noise(); // Gravity
+    const gx = noise() * 50;
+    const gy = noise() * 50;
+    const gz = direction * 220 * envelope + noise() * 50;
+
+    return [ax, ay, az, gx, gy, gz].map(v => v.toFixed(3)).join(',');
+}
+
+/**
+ * Main function
+ */
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('🎻 Starting IMU WebSocket Relay...\n');
+    // The simulated sensor answers the app's capability handshake
+    const onCommand = options.simulate ? (sender, text) => {
+        if (text.startsWith('HELLO')) {
+            sender.send(OPCODE_TEXT, Buffer.from(SIMULATED_DEVICE_INFO + '\n', 'utf8'));
+        }
+    } : null;
+
+    const relay = startRelay(options.port, onCommand);
+
+    if (options.simulate) {
+        console.log(`🤖 Simulating bowing data at ${1000 / SIMULATE_INTERVAL_MS} Hz`);
+        const start = Date.now();
+        setInterval(() => {
+            relay.broadcast(simulateSample((Date.now() - start) / 1000));
+        }, SIMULATE_INTERVAL_MS);
+    }
+
+    if (options.stdin) {
+        console.log('⌨️  Forwarding lines from stdin');
+        const rl = readline.createInterface({ input: process.stdin });
+        rl.on('line', (line) => {
+            if (line.trim()) {
+                relay.broadcast(line.trim());
+            }
+        });
+    }
+
+    console.log('\nPress Ctrl+C to stop.\n');
+}
+
+// Run the script
+try {
+    main();
+} catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+}